@@ -240,9 +240,37 @@ describe('Gem Model', () => {
         expect(gem.isActive).toBe(true);
       });
     });
+
+    test('should find gems near a location with distance in meters', async () => {
+      await Gem.init();
+      const nearbyGems = await Gem.findNearWithDistance(34.0837, 74.8370, 1000);
+
+      expect(nearbyGems).toHaveLength(3); // Excluding inactive gem
+      nearbyGems.forEach(gem => {
+        expect(gem.isActive).toBe(true);
+        expect(gem.distance).toBe(0);
+      });
+    });
   });
 
   describe('Instance Methods', () => {
+    test('should bump the version and ETag on every save', async () => {
+      const savedGem = await new Gem(validGemData).save();
+      const originalETag = savedGem.getETag();
+
+      expect(savedGem.matchesETag(originalETag)).toBe(true);
+
+      savedGem.name = 'Renamed Gem';
+      await savedGem.save();
+
+      expect(savedGem.__v).toBe(1);
+      expect(savedGem.matchesETag(originalETag)).toBe(false);
+      expect(savedGem.matchesETag(`W/${savedGem.getETag()}`)).toBe(false);
+      expect(savedGem.matchesETag(`${originalETag}, ${savedGem.getETag()}`)).toBe(true);
+      expect(savedGem.toJSON().version).toBe(1);
+    });
+
+
     test('should toggle active status', async () => {
       const gem = new Gem(validGemData);
       const savedGem = await gem.save();
@@ -257,6 +285,129 @@ describe('Gem Model', () => {
     });
   });
 
+  describe('Geospatial Point', () => {
+    test('should store a GeoJSON point derived from location', async () => {
+      const savedGem = await new Gem(validGemData).save();
+
+      expect(savedGem.geo.type).toBe('Point');
+      expect(savedGem.geo.coordinates).toEqual([
+        validGemData.location.longitude,
+        validGemData.location.latitude
+      ]);
+    });
+
+    test('should keep the GeoJSON point in sync on findOneAndUpdate', async () => {
+      const savedGem = await new Gem(validGemData).save();
+
+      const updatedGem = await Gem.findByIdAndUpdate(
+        savedGem._id,
+        { location: { latitude: 34.1, longitude: 74.9, address: 'Updated address, Srinagar' } },
+        { new: true }
+      );
+
+      expect(updatedGem.geo.coordinates).toEqual([74.9, 34.1]);
+    });
+  });
+
+  describe('Soft Delete', () => {
+    test('should hide soft-deleted gems from queries and restore them', async () => {
+      const savedGem = await new Gem(validGemData).save();
+
+      await savedGem.softDelete('admin');
+      expect(savedGem.deletedAt).toBeInstanceOf(Date);
+      expect(savedGem.deletedBy).toBe('admin');
+      expect(await Gem.findById(savedGem._id)).toBeNull();
+      expect(await Gem.countDocuments({})).toBe(0);
+
+      const trashed = await Gem.findDeleted();
+      expect(trashed).toHaveLength(1);
+
+      await trashed[0].restore();
+      const restoredGem = await Gem.findById(savedGem._id);
+      expect(restoredGem.deletedAt).toBeNull();
+      expect(restoredGem.deletedBy).toBeNull();
+    });
+  });
+
+  describe('Price Level, Amenities and Tags', () => {
+    test('should normalize tags and de-duplicate amenities', async () => {
+      const savedGem = await new Gem({
+        ...validGemData,
+        priceLevel: 2,
+        amenities: ['parking', 'family_friendly', 'parking'],
+        tags: [' Shikara ', 'shikara', 'Sunset  Views']
+      }).save();
+
+      expect(savedGem.priceLevel).toBe(2);
+      expect(savedGem.amenities).toEqual(['parking', 'family_friendly']);
+      expect(savedGem.tags).toEqual(['shikara', 'sunset views']);
+    });
+
+    test('should reject price levels outside 1-4', async () => {
+      const gem = new Gem({ ...validGemData, priceLevel: 5 });
+
+      await expect(gem.save()).rejects.toThrow('Price level must be between 1 and 4');
+    });
+
+    test('should reject amenities outside the vocabulary', async () => {
+      const gem = new Gem({ ...validGemData, amenities: ['helipad'] });
+
+      await expect(gem.save()).rejects.toThrow('Amenity must be one of');
+    });
+  });
+
+  describe('Image Gallery', () => {
+    test('should seed a one-image gallery from the legacy image field', async () => {
+      const savedGem = await new Gem(validGemData).save();
+
+      expect(savedGem.images).toHaveLength(1);
+      expect(savedGem.images[0].url).toBe(validGemData.image.url);
+      expect(savedGem.images[0].isCover).toBe(true);
+      expect(savedGem.images[0]._id).toBeDefined();
+    });
+
+    test('should populate image from the designated cover', async () => {
+      const { image, ...gemData } = validGemData;
+      const savedGem = await new Gem({
+        ...gemData,
+        images: [
+          { url: 'https://example.com/dal-morning.jpg', alt: 'Dal Lake at dawn' },
+          { url: 'https://example.com/dal-shikara.jpg', alt: 'Shikara on Dal Lake', isCover: true }
+        ]
+      }).save();
+
+      expect(savedGem.image.url).toBe('https://example.com/dal-shikara.jpg');
+      expect(savedGem.images.map(img => img.isCover)).toEqual([false, true]);
+    });
+
+    test('should move the cover to the first image when the cover is removed', async () => {
+      const savedGem = await new Gem({
+        ...validGemData,
+        images: [
+          { url: 'https://example.com/dal-morning.jpg', alt: 'Dal Lake at dawn', isCover: true },
+          { url: 'https://example.com/dal-shikara.jpg', alt: 'Shikara on Dal Lake' }
+        ]
+      }).save();
+
+      savedGem.images[0].deleteOne();
+      await savedGem.save();
+
+      expect(savedGem.images[0].isCover).toBe(true);
+      expect(savedGem.image.url).toBe('https://example.com/dal-shikara.jpg');
+    });
+
+    test('should apply edits of the legacy image field to the cover', async () => {
+      const savedGem = await new Gem(validGemData).save();
+
+      savedGem.image = { url: 'https://example.com/new-cover.jpg', alt: 'New cover photo' };
+      await savedGem.save();
+
+      expect(savedGem.images).toHaveLength(1);
+      expect(savedGem.images[0].url).toBe('https://example.com/new-cover.jpg');
+      expect(savedGem.images[0].alt).toBe('New cover photo');
+    });
+  });
+
   describe('Virtuals', () => {
     test('should provide geoLocation virtual', async () => {
       const gem = new Gem(validGemData);
@@ -283,6 +434,7 @@ describe('Gem Model', () => {
       expect(indexNames).toContain('category_1');
       expect(indexNames).toContain('isActive_1');
       expect(indexNames).toContain('category_1_isActive_1');
+      expect(indexNames).toContain('geo_2dsphere');
     });
   });
 
@@ -0,0 +1,357 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { MongoMemoryReplSet } = require('mongodb-memory-server');
+const app = require('../../server');
+const Gem = require('../../models/Gem');
+const Category = require('../../models/Category');
+const GemRevision = require('../../models/GemRevision');
+const categoryService = require('../../services/categoryService');
+
+describe('Categories API Endpoints', () => {
+  let replSet;
+  let adminToken;
+
+  const gemData = {
+    name: 'Sukoon Houseboat',
+    description: 'A family-run houseboat on Dal Lake with carved walnut interiors.',
+    location: {
+      latitude: 34.0959,
+      longitude: 74.8370,
+      address: 'Ghat 9, Boulevard Road, Srinagar'
+    },
+    image: {
+      url: 'https://example.com/sukoon.jpg',
+      alt: 'Houseboat on Dal Lake'
+    }
+  };
+
+  beforeAll(async () => {
+    // Start an in-memory MongoDB replica set (merges run in a transaction)
+    replSet = await MongoMemoryReplSet.create({ replSet: { count: 1 } });
+    const mongoUri = replSet.getUri();
+
+    // Connect to the in-memory database
+    await mongoose.connect(mongoUri);
+  });
+
+  afterAll(async () => {
+    // Clean up and close connections
+    await mongoose.connection.dropDatabase();
+    await mongoose.connection.close();
+    await replSet.stop();
+  });
+
+  beforeEach(async () => {
+    // Start every test from the default categories
+    await Gem.deleteMany({});
+    await Category.deleteMany({});
+    categoryService.invalidate();
+
+    const loginResponse = await request(app)
+      .post('/api/auth/login')
+      .send({
+        username: 'admin',
+        password: 'admin123'
+      });
+    adminToken = loginResponse.body.data.token;
+  });
+
+  describe('GET /api/categories', () => {
+    it('should create and return the default categories in display order', async () => {
+      const response = await request(app)
+        .get('/api/categories')
+        .expect(200);
+
+      expect(response.body.success).toBe(true);
+      expect(response.body.data.map(category => category.name)).toEqual([
+        'Food', 'Craft', 'Viewpoint', 'Shopping', 'Experience'
+      ]);
+      expect(response.body.data[0].slug).toBe('food');
+    });
+
+    it('should return subcategories with active gem counts', async () => {
+      await Gem.create([
+        { ...gemData, name: 'Ahdoos Wazwan', category: 'Food', subcategory: 'Wazwan' },
+        { ...gemData, name: 'Mughal Darbar', category: 'Food', subcategory: 'wazwan' },
+        { ...gemData, name: 'Lake View Cafe', category: 'Food' },
+        { ...gemData, name: 'Closed Bakery', category: 'Food', subcategory: 'Bakery', isActive: false }
+      ]);
+
+      const response = await request(app)
+        .get('/api/categories')
+        .expect(200);
+
+      const food = response.body.data.find(category => category.slug === 'food');
+      expect(food.gemCount).toBe(3);
+      expect(food.subcategories.map(subcategory => [subcategory.name, subcategory.gemCount])).toEqual([
+        ['Wazwan', 2], ['Bakery', 0], ['Chai Stall', 0]
+      ]);
+
+      const craft = response.body.data.find(category => category.slug === 'craft');
+      expect(craft.gemCount).toBe(0);
+      expect(craft.subcategories).toEqual([]);
+    });
+
+    it('should get a category by slug', async () => {
+      const response = await request(app)
+        .get('/api/categories/viewpoint')
+        .expect(200);
+
+      expect(response.body.data.name).toBe('Viewpoint');
+    });
+
+    it('should return 404 for an unknown slug', async () => {
+      const response = await request(app)
+        .get('/api/categories/houseboat')
+        .expect(404);
+
+      expect(response.body.error.code).toBe('CATEGORY_NOT_FOUND');
+    });
+  });
+
+  describe('Default subcategories', () => {
+    it('should add default subcategories missing from an existing database', async () => {
+      await Category.create({
+        slug: 'food',
+        name: 'Food',
+        subcategories: [{ slug: 'wazwan', name: 'Wazwan' }, { slug: 'bakeries', name: 'Bakery' }]
+      });
+
+      const added = await Category.addMissingDefaultSubcategories();
+
+      expect(added).toEqual([{ category: 'food', subcategory: 'chai-stall' }]);
+      const food = await Category.findOne({ slug: 'food' });
+      expect(food.subcategories.map(subcategory => subcategory.slug)).toEqual(['wazwan', 'bakeries', 'chai-stall']);
+
+      // Running it again changes nothing
+      expect(await Category.addMissingDefaultSubcategories()).toEqual([]);
+    });
+  });
+
+  describe('POST /api/categories', () => {
+    it('should create a category that gems can use straight away', async () => {
+      const response = await request(app)
+        .post('/api/categories')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ name: 'Houseboat', icon: '🛶', sortOrder: 6 })
+        .expect(201);
+
+      expect(response.body.data.slug).toBe('houseboat');
+
+      const gemResponse = await request(app)
+        .post('/api/gems')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ ...gemData, category: 'Houseboat' })
+        .expect(201);
+
+      expect(gemResponse.body.data.category).toBe('Houseboat');
+
+      const listResponse = await request(app)
+        .get('/api/gems?category=houseboat')
+        .expect(200);
+
+      expect(listResponse.body.data).toHaveLength(1);
+    });
+
+    it('should derive a slug from a multi-word name', async () => {
+      const response = await request(app)
+        .post('/api/categories')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ name: 'Street Food' })
+        .expect(201);
+
+      expect(response.body.data.slug).toBe('street-food');
+    });
+
+    it('should reject a duplicate category', async () => {
+      const response = await request(app)
+        .post('/api/categories')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ name: 'Food' })
+        .expect(409);
+
+      expect(response.body.error.code).toBe('DUPLICATE_CATEGORY');
+    });
+
+    it('should fail without admin token', async () => {
+      await request(app)
+        .post('/api/categories')
+        .send({ name: 'Houseboat' })
+        .expect(401);
+    });
+  });
+
+  describe('PATCH /api/categories/:slug', () => {
+    it('should rename a category on the gems that use it', async () => {
+      await Gem.create({ ...gemData, category: 'Shopping' });
+
+      const response = await request(app)
+        .patch('/api/categories/shopping')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ name: 'Markets' })
+        .expect(200);
+
+      expect(response.body.data.name).toBe('Markets');
+      expect(response.body.renamed.gems).toBe(1);
+
+      const gem = await Gem.findOne({ name: gemData.name });
+      expect(gem.category).toBe('Markets');
+
+      // The rename is part of the gem's history
+      const [revision] = await GemRevision.findByGem(gem._id);
+      expect(revision.action).toBe('update');
+      expect(revision.toObject().changes).toEqual([{ path: 'category', from: 'Shopping', to: 'Markets' }]);
+      expect(revision.gemVersion).toBe(gem.__v);
+
+      // The old name is no longer valid
+      const listResponse = await request(app)
+        .get('/api/gems?category=Shopping')
+        .expect(400);
+
+      expect(listResponse.body.error.details[0].message).toContain('Markets');
+    });
+
+    it('should reject renaming a category to an existing name', async () => {
+      await Category.ensureDefaults();
+
+      const response = await request(app)
+        .patch('/api/categories/shopping')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ name: 'Food' })
+        .expect(409);
+
+      expect(response.body.error.code).toBe('DUPLICATE_CATEGORY');
+
+      const category = await Category.findOne({ slug: 'shopping' });
+      expect(category.name).toBe('Shopping');
+    });
+  });
+
+  describe('Subcategories', () => {
+    it('should add a subcategory that gems can use', async () => {
+      const response = await request(app)
+        .post('/api/categories/craft/subcategories')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ name: 'Papier Mache' })
+        .expect(201);
+
+      expect(response.body.data.subcategories[0].slug).toBe('papier-mache');
+
+      await request(app)
+        .post('/api/gems')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ ...gemData, category: 'Craft', subcategory: 'papier-mache' })
+        .expect(201);
+
+      const listResponse = await request(app)
+        .get('/api/gems?subcategory=papier%20mache')
+        .expect(200);
+
+      expect(listResponse.body.data).toHaveLength(1);
+      expect(listResponse.body.data[0].subcategory).toBe('Papier Mache');
+    });
+
+    it('should reject a subcategory from another category', async () => {
+      const response = await request(app)
+        .post('/api/gems')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ ...gemData, category: 'Viewpoint', subcategory: 'Wazwan' })
+        .expect(400);
+
+      expect(response.body.error.details[0].field).toBe('subcategory');
+      expect(response.body.error.details[0].message).toBe("Category 'Viewpoint' has no subcategories");
+    });
+
+    it('should reject a duplicate subcategory', async () => {
+      const response = await request(app)
+        .post('/api/categories/food/subcategories')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ name: 'bakery' })
+        .expect(409);
+
+      expect(response.body.error.code).toBe('DUPLICATE_SUBCATEGORY');
+    });
+
+    it('should rename a subcategory on the gems that use it', async () => {
+      await Gem.create({ ...gemData, category: 'Food', subcategory: 'Chai Stall' });
+
+      const response = await request(app)
+        .patch('/api/categories/food/subcategories/chai-stall')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ name: 'Noon Chai' })
+        .expect(200);
+
+      expect(response.body.renamed.gems).toBe(1);
+
+      const gem = await Gem.findOne({ name: gemData.name });
+      expect(gem.subcategory).toBe('Noon Chai');
+
+      const [revision] = await GemRevision.findByGem(gem._id);
+      expect(revision.toObject().changes).toEqual([{ path: 'subcategory', from: 'Chai Stall', to: 'Noon Chai' }]);
+    });
+
+    it('should not delete a subcategory that gems still use', async () => {
+      await Gem.create({ ...gemData, category: 'Food', subcategory: 'Bakery' });
+
+      const response = await request(app)
+        .delete('/api/categories/food/subcategories/bakery')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(409);
+
+      expect(response.body.error.code).toBe('SUBCATEGORY_IN_USE');
+
+      await request(app)
+        .delete('/api/categories/food/subcategories/wazwan')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+    });
+  });
+
+  describe('DELETE /api/categories/:slug', () => {
+    it('should not delete a category that gems still use', async () => {
+      const gem = await Gem.create({ ...gemData, category: 'Craft' });
+      await gem.softDelete('admin');
+
+      const response = await request(app)
+        .delete('/api/categories/craft')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(409);
+
+      expect(response.body.error.code).toBe('CATEGORY_IN_USE');
+      expect(response.body.error.details.gems).toBe(1);
+    });
+
+    it('should delete a category whose only gem was merged into another', async () => {
+      const target = await Gem.create({ ...gemData, category: 'Food' });
+      const duplicate = await Gem.create({ ...gemData, name: 'Sukoon Houseboat Dal Lake', category: 'Craft' });
+
+      await request(app)
+        .post(`/api/gems/${target._id}/merge`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .set('If-Match', target.getETag())
+        .send({ sourceId: duplicate._id.toString() })
+        .expect(200);
+
+      await request(app)
+        .delete('/api/categories/craft')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+    });
+
+    it('should delete an unused category', async () => {
+      await request(app)
+        .delete('/api/categories/experience')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      const response = await request(app)
+        .post('/api/gems')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ ...gemData, category: 'Experience' })
+        .expect(400);
+
+      expect(response.body.error.code).toBe('VALIDATION_ERROR');
+      expect(response.body.error.details[0].field).toBe('category');
+    });
+  });
+});
\ No newline at end of file
@@ -0,0 +1,174 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const app = require('../../server');
+const Gem = require('../../models/Gem');
+const GemRequest = require('../../models/GemRequest');
+const { parseCsvObjects } = require('../../utils/csv');
+
+describe('Export API Endpoints', () => {
+  let mongoServer;
+  let adminToken;
+
+  const gemData = {
+    name: 'Chai Point Lal Chowk',
+    description: 'A hidden gem serving the best traditional Kashmiri chai in the heart of Lal Chowk.',
+    category: 'Food',
+    location: {
+      latitude: 34.0837,
+      longitude: 74.7973,
+      address: 'Near Lal Chowk, Srinagar, Kashmir 190001'
+    },
+    image: {
+      url: 'https://example.com/chai-point.jpg',
+      alt: 'Traditional Kashmiri chai being served'
+    },
+    tags: ['chai', 'breakfast']
+  };
+
+  const parseNdjson = (text) => text.trim().split('\n').map(line => JSON.parse(line));
+
+  beforeAll(async () => {
+    // Start in-memory MongoDB instance
+    mongoServer = await MongoMemoryServer.create();
+    const mongoUri = mongoServer.getUri();
+
+    // Connect to the in-memory database
+    await mongoose.connect(mongoUri);
+  });
+
+  afterAll(async () => {
+    // Clean up and close connections
+    await mongoose.connection.dropDatabase();
+    await mongoose.connection.close();
+    await mongoServer.stop();
+  });
+
+  beforeEach(async () => {
+    await Gem.deleteMany({});
+    await GemRequest.deleteMany({});
+
+    const loginResponse = await request(app)
+      .post('/api/auth/login')
+      .send({
+        username: 'admin',
+        password: 'admin123'
+      });
+    adminToken = loginResponse.body.data.token;
+  });
+
+  describe('GET /api/gems/export', () => {
+    beforeEach(async () => {
+      const gems = await Gem.create([
+        gemData,
+        { ...gemData, name: 'Pashmina Weaver Workshop', category: 'Craft', tags: [] },
+        { ...gemData, name: 'Closed Bakery', isActive: false },
+        { ...gemData, name: 'Deleted Viewpoint', category: 'Viewpoint' }
+      ]);
+      await gems[3].softDelete('admin');
+    });
+
+    it('should download active gems as CSV that the import can read back', async () => {
+      const response = await request(app)
+        .get('/api/gems/export')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(response.headers['content-type']).toBe('text/csv; charset=utf-8');
+      expect(response.headers['content-disposition']).toMatch(/^attachment; filename="gems-\d{4}-\d{2}-\d{2}\.csv"$/);
+
+      const rows = parseCsvObjects(response.text);
+      expect(rows.map(({ data }) => data.name)).toEqual(['Chai Point Lal Chowk', 'Pashmina Weaver Workshop']);
+      expect(rows[0].data).toMatchObject({
+        category: 'Food',
+        'location.latitude': '34.0837',
+        'location.address': 'Near Lal Chowk, Srinagar, Kashmir 190001',
+        tags: 'chai; breakfast',
+        isActive: 'true'
+      });
+    });
+
+    it('should apply list filters and stream NDJSON', async () => {
+      const response = await request(app)
+        .get('/api/gems/export?format=ndjson&category=Food')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .buffer(true)
+        .expect(200);
+
+      expect(response.headers['content-type']).toBe('application/x-ndjson; charset=utf-8');
+
+      const gems = parseNdjson(response.text);
+      expect(gems).toHaveLength(1);
+      expect(gems[0].name).toBe('Chai Point Lal Chowk');
+      expect(gems[0].location.latitude).toBe(34.0837);
+    });
+
+    it('should include inactive and trashed gems on request', async () => {
+      const response = await request(app)
+        .get('/api/gems/export?format=ndjson&includeInactive=true&includeDeleted=true')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .buffer(true)
+        .expect(200);
+
+      const gems = parseNdjson(response.text);
+      expect(gems).toHaveLength(4);
+      expect(gems.find(gem => gem.name === 'Closed Bakery').isActive).toBe(false);
+      expect(gems.find(gem => gem.name === 'Deleted Viewpoint').deletedBy).toBe('admin');
+    });
+
+    it('should reject an unknown format', async () => {
+      const response = await request(app)
+        .get('/api/gems/export?format=xlsx')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(400);
+
+      expect(response.body.error.code).toBe('VALIDATION_ERROR');
+      expect(response.body.error.details[0].field).toBe('format');
+    });
+
+    it('should fail without admin token', async () => {
+      await request(app)
+        .get('/api/gems/export')
+        .expect(401);
+    });
+  });
+
+  describe('GET /api/gem-requests/export', () => {
+    beforeEach(async () => {
+      await GemRequest.create([
+        gemData,
+        { ...gemData, name: 'Harissa Shop', status: 'rejected', reviewedBy: 'admin', reviewNotes: 'Closed, "for now"' }
+      ]);
+    });
+
+    it('should download gem requests as CSV', async () => {
+      const response = await request(app)
+        .get('/api/gem-requests/export')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(response.headers['content-disposition']).toMatch(/^attachment; filename="gem-requests-\d{4}-\d{2}-\d{2}\.csv"$/);
+
+      const rows = parseCsvObjects(response.text);
+      expect(rows).toHaveLength(2);
+      expect(rows[1].data).toMatchObject({
+        name: 'Harissa Shop',
+        status: 'rejected',
+        reviewedBy: 'admin',
+        reviewNotes: 'Closed, "for now"'
+      });
+    });
+
+    it('should filter gem requests by status', async () => {
+      const response = await request(app)
+        .get('/api/gem-requests/export?status=pending&format=ndjson')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .buffer(true)
+        .expect(200);
+
+      const requests = parseNdjson(response.text);
+      expect(requests).toHaveLength(1);
+      expect(requests[0].name).toBe('Chai Point Lal Chowk');
+    });
+  });
+});
\ No newline at end of file
@@ -0,0 +1,240 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { MongoMemoryReplSet } = require('mongodb-memory-server');
+const app = require('../../server');
+const Gem = require('../../models/Gem');
+const GemRevision = require('../../models/GemRevision');
+
+describe('Gem Import API Endpoints', () => {
+  let replSet;
+  let adminToken;
+
+  const gemRow = {
+    name: 'Chai Point Lal Chowk',
+    description: 'A hidden gem serving the best traditional Kashmiri chai in the heart of Lal Chowk.',
+    category: 'Food',
+    location: {
+      latitude: 34.0837,
+      longitude: 74.7973,
+      address: 'Near Lal Chowk, Srinagar, Kashmir 190001'
+    },
+    image: {
+      url: 'https://example.com/chai-point.jpg',
+      alt: 'Traditional Kashmiri chai being served'
+    }
+  };
+
+  const csv = [
+    'importKey,name,description,category,subcategory,location.latitude,location.longitude,location.address,image.url,image.alt,priceLevel,tags',
+    'chai-point,Chai Point,Noon chai and kahwa served since 1962.,Food,Chai Stall,34.0837,74.7973,"Lal Chowk, Srinagar",https://example.com/chai.jpg,Chai being served,1,"chai; breakfast"',
+    'sunset-point,Secret Sunset Point,A quiet viewpoint over Dal Lake at sunset.,Viewpoint,,34.1015,74.8467,"Near Nishat Bagh, Srinagar",https://example.com/sunset.jpg,Sunset over Dal Lake,,'
+  ].join('\n');
+
+  beforeAll(async () => {
+    // Transactions need a replica set
+    replSet = await MongoMemoryReplSet.create({ replSet: { count: 1 } });
+    await mongoose.connect(replSet.getUri());
+
+    // Build the unique import key index before the first import
+    await Gem.init();
+  });
+
+  afterAll(async () => {
+    // Clean up and close connections
+    await mongoose.connection.dropDatabase();
+    await mongoose.connection.close();
+    await replSet.stop();
+  });
+
+  beforeEach(async () => {
+    await Gem.deleteMany({});
+    await GemRevision.deleteMany({});
+
+    const loginResponse = await request(app)
+      .post('/api/auth/login')
+      .send({
+        username: 'admin',
+        password: 'admin123'
+      });
+    adminToken = loginResponse.body.data.token;
+  });
+
+  describe('POST /api/gems/import', () => {
+    it('should report per-row errors on a dry run without saving', async () => {
+      const response = await request(app)
+        .post('/api/gems/import?dryRun=true')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send([gemRow, { ...gemRow, name: 'Sunset Point', category: 'Houseboat', location: { ...gemRow.location, latitude: 120 } }])
+        .expect(200);
+
+      expect(response.body.success).toBe(true);
+      expect(response.body.data).toMatchObject({ dryRun: true, total: 2, created: 1, invalid: 1 });
+      expect(response.body.data.rows[0]).toMatchObject({
+        row: 1,
+        action: 'create',
+        importKey: 'chai-point-lal-chowk@34.0837,74.7973'
+      });
+      expect(response.body.data.rows[1].action).toBe('invalid');
+      expect(response.body.data.rows[1].errors.map(error => error.field)).toEqual(['category', 'location.latitude']);
+
+      expect(await Gem.countDocuments()).toBe(0);
+    });
+
+    it('should import CSV and update the same rows when re-imported', async () => {
+      const firstResponse = await request(app)
+        .post('/api/gems/import')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .set('Content-Type', 'text/csv')
+        .send(csv)
+        .expect(200);
+
+      expect(firstResponse.body.data).toMatchObject({ dryRun: false, total: 2, created: 2, invalid: 0 });
+
+      const chaiPoint = await Gem.findOne({ importKey: 'chai-point' });
+      expect(chaiPoint.location.address).toBe('Lal Chowk, Srinagar');
+      expect(chaiPoint.subcategory).toBe('Chai Stall');
+      expect(chaiPoint.priceLevel).toBe(1);
+      expect(chaiPoint.tags).toEqual(['chai', 'breakfast']);
+
+      // Running the same file again changes nothing
+      const secondResponse = await request(app)
+        .post('/api/gems/import')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .set('Content-Type', 'text/csv')
+        .send(csv)
+        .expect(200);
+
+      expect(secondResponse.body.data).toMatchObject({ created: 0, updated: 0, unchanged: 2 });
+      expect(await Gem.countDocuments()).toBe(2);
+
+      // An edited row updates its gem
+      const thirdResponse = await request(app)
+        .post('/api/gems/import')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .set('Content-Type', 'text/csv')
+        .send(csv.replace('Noon chai and kahwa served since 1962.', 'Noon chai, kahwa and girda since 1962.'))
+        .expect(200);
+
+      expect(thirdResponse.body.data).toMatchObject({ created: 0, updated: 1, unchanged: 1 });
+      expect(thirdResponse.body.data.rows[0]).toMatchObject({ row: 2, action: 'update', gemId: chaiPoint._id.toString() });
+
+      const revision = await GemRevision.findByGem(chaiPoint._id).findOne();
+      expect(revision.action).toBe('update');
+    });
+
+    it('should import a CSV export back, ignoring server-managed columns', async () => {
+      await request(app)
+        .post('/api/gems/import')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .set('Content-Type', 'text/csv')
+        .send(csv)
+        .expect(200);
+
+      const exportResponse = await request(app)
+        .get('/api/gems/export?format=csv')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .buffer(true)
+        .expect(200);
+
+      expect(exportResponse.text.split('\r\n')[0]).toMatch(/^_id,importKey,.*,version,createdAt,updatedAt,/);
+
+      const response = await request(app)
+        .post('/api/gems/import')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .set('Content-Type', 'text/csv')
+        .send(exportResponse.text)
+        .expect(200);
+
+      expect(response.body.data).toMatchObject({ total: 2, created: 0, updated: 0, unchanged: 2, invalid: 0 });
+    });
+
+    it('should import an export back with commas in tags and formula-like text', async () => {
+      const description = '-Closed Fridays- Noon chai and kahwa served since 1962.';
+      await Gem.create({ ...gemRow, importKey: 'chai-point', description, tags: ['noon chai, kahwa', 'breakfast'] });
+
+      const exportResponse = await request(app)
+        .get('/api/gems/export?format=csv')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .buffer(true)
+        .expect(200);
+
+      expect(exportResponse.text).toContain(`'${description}`);
+
+      const response = await request(app)
+        .post('/api/gems/import')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .set('Content-Type', 'text/csv')
+        .send(exportResponse.text)
+        .expect(200);
+
+      expect(response.body.data).toMatchObject({ total: 1, unchanged: 1, invalid: 0 });
+
+      const gem = await Gem.findOne({ importKey: 'chai-point' });
+      expect(gem.description).toBe(description);
+      expect(gem.tags).toEqual(['noon chai, kahwa', 'breakfast']);
+    });
+
+    it('should reject rows that repeat an import key', async () => {
+      const response = await request(app)
+        .post('/api/gems/import')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ gems: [{ ...gemRow, importKey: 'chai' }, { ...gemRow, name: 'Chai Point Again', importKey: 'chai' }] })
+        .expect(200);
+
+      expect(response.body.data).toMatchObject({ created: 1, invalid: 1 });
+      expect(response.body.data.rows[1].errors).toEqual([
+        { field: 'importKey', message: 'Same import key as row 1' }
+      ]);
+      expect(await Gem.countDocuments()).toBe(1);
+    });
+
+    it('should flag likely duplicates of existing gems unless forced', async () => {
+      await Gem.create(gemRow);
+
+      const response = await request(app)
+        .post('/api/gems/import')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send([{ ...gemRow, name: 'Chai Point Lalchowk' }])
+        .expect(200);
+
+      expect(response.body.data.rows[0].action).toBe('invalid');
+      expect(response.body.data.rows[0].possibleDuplicates[0].name).toBe(gemRow.name);
+
+      const forcedResponse = await request(app)
+        .post('/api/gems/import?force=true')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send([{ ...gemRow, name: 'Chai Point Lalchowk' }])
+        .expect(200);
+
+      expect(forcedResponse.body.data.created).toBe(1);
+    });
+
+    it('should reject a body that is not a list of gems', async () => {
+      const response = await request(app)
+        .post('/api/gems/import')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send(gemRow)
+        .expect(400);
+
+      expect(response.body.error.code).toBe('INVALID_IMPORT');
+    });
+
+    it('should reject malformed CSV', async () => {
+      const response = await request(app)
+        .post('/api/gems/import')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .set('Content-Type', 'text/csv')
+        .send('name,description\n"Chai Point,Noon chai')
+        .expect(400);
+
+      expect(response.body.error.code).toBe('INVALID_CSV');
+    });
+
+    it('should fail without admin token', async () => {
+      await request(app)
+        .post('/api/gems/import')
+        .send([gemRow])
+        .expect(401);
+    });
+  });
+});
\ No newline at end of file
@@ -0,0 +1,179 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const app = require('../../server');
+const Gem = require('../../models/Gem');
+const GemRequest = require('../../models/GemRequest');
+
+describe('Stats API Endpoints', () => {
+  let mongoServer;
+  let adminToken;
+
+  const HOUR_MS = 60 * 60 * 1000;
+
+  const gemData = {
+    name: 'Chai Point Lal Chowk',
+    description: 'A hidden gem serving the best traditional Kashmiri chai in the heart of Lal Chowk.',
+    category: 'Food',
+    location: {
+      latitude: 34.0837,
+      longitude: 74.7973,
+      address: 'Near Lal Chowk, Srinagar, Kashmir 190001'
+    },
+    image: {
+      url: 'https://example.com/chai-point.jpg',
+      alt: 'Traditional Kashmiri chai being served'
+    }
+  };
+
+  const reviewedRequest = (status, reviewedBy, hoursToReview) => {
+    const submittedAt = new Date(Date.now() - 48 * HOUR_MS);
+    return {
+      ...gemData,
+      status,
+      submittedAt,
+      reviewedBy,
+      reviewedAt: new Date(submittedAt.getTime() + hoursToReview * HOUR_MS)
+    };
+  };
+
+  beforeAll(async () => {
+    // Start in-memory MongoDB instance
+    mongoServer = await MongoMemoryServer.create();
+    const mongoUri = mongoServer.getUri();
+
+    // Connect to the in-memory database
+    await mongoose.connect(mongoUri);
+  });
+
+  afterAll(async () => {
+    // Clean up and close connections
+    await mongoose.connection.dropDatabase();
+    await mongoose.connection.close();
+    await mongoServer.stop();
+  });
+
+  beforeEach(async () => {
+    await Gem.deleteMany({});
+    await GemRequest.deleteMany({});
+
+    const loginResponse = await request(app)
+      .post('/api/auth/login')
+      .send({
+        username: 'admin',
+        password: 'admin123'
+      });
+    adminToken = loginResponse.body.data.token;
+  });
+
+  describe('GET /api/stats', () => {
+    it('should count gems by category and active status, leaving out trash', async () => {
+      const gems = await Gem.create([
+        gemData,
+        { ...gemData, name: 'Harissa Shop' },
+        { ...gemData, name: 'Closed Bakery', isActive: false },
+        { ...gemData, name: 'Pashmina Weaver Workshop', category: 'Craft' },
+        { ...gemData, name: 'Deleted Viewpoint', category: 'Viewpoint' }
+      ]);
+      await gems[4].softDelete('admin');
+
+      const response = await request(app)
+        .get('/api/stats')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(response.body.success).toBe(true);
+
+      const { gems: counts } = response.body.data;
+      expect(counts.total).toBe(4);
+      expect(counts.active).toBe(3);
+      expect(counts.inactive).toBe(1);
+      expect(counts.byCategory.find(row => row.category === 'Food')).toEqual({
+        category: 'Food', active: 2, inactive: 1, total: 3
+      });
+      expect(counts.byCategory.find(row => row.category === 'Viewpoint').total).toBe(0);
+    });
+
+    it('should count gems created per week, leaving out trash', async () => {
+      const gems = await Gem.create([
+        gemData,
+        { ...gemData, name: 'Harissa Shop' },
+        { ...gemData, name: 'Deleted Bakery' }
+      ]);
+      await gems[2].softDelete('admin');
+      await Gem.collection.insertOne({
+        ...gemData,
+        name: 'Old Gem',
+        isActive: true,
+        deletedAt: null,
+        createdAt: new Date(Date.now() - 400 * 24 * HOUR_MS)
+      });
+
+      const response = await request(app)
+        .get('/api/stats?weeks=4')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      const { gemsPerWeek } = response.body.data;
+      expect(gemsPerWeek).toHaveLength(4);
+      expect(gemsPerWeek.map(week => week.count)).toEqual([0, 0, 0, 2]);
+      expect(new Date(gemsPerWeek[3].weekStart).getUTCDay()).toBe(1);
+    });
+
+    it('should summarize gem requests and reviews', async () => {
+      await GemRequest.create([
+        gemData,
+        reviewedRequest('approved', 'admin', 2),
+        reviewedRequest('approved', 'admin', 4),
+        reviewedRequest('rejected', 'moderator', 12)
+      ]);
+
+      const response = await request(app)
+        .get('/api/stats')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      const { requests, reviews, topReviewers } = response.body.data;
+      expect(requests).toEqual({ total: 4, pending: 1, approved: 2, rejected: 1 });
+      expect(reviews.reviewed).toBe(3);
+      expect(reviews.averageReviewTimeHours).toBe(6);
+      expect(topReviewers).toEqual([
+        { reviewedBy: 'admin', reviewed: 2, approved: 2, rejected: 0, averageReviewTimeHours: 3 },
+        { reviewedBy: 'moderator', reviewed: 1, approved: 0, rejected: 1, averageReviewTimeHours: 12 }
+      ]);
+    });
+
+    it('should report no reviews yet', async () => {
+      const response = await request(app)
+        .get('/api/stats')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(response.body.data.requests.total).toBe(0);
+      expect(response.body.data.reviews).toEqual({
+        reviewed: 0,
+        averageReviewTimeMs: null,
+        averageReviewTimeHours: null
+      });
+      expect(response.body.data.topReviewers).toEqual([]);
+    });
+
+    it('should reject an invalid number of weeks', async () => {
+      const response = await request(app)
+        .get('/api/stats?weeks=100')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(400);
+
+      expect(response.body.error.code).toBe('VALIDATION_ERROR');
+      expect(response.body.error.details[0].field).toBe('weeks');
+    });
+
+    it('should fail without admin token', async () => {
+      const response = await request(app)
+        .get('/api/stats')
+        .expect(401);
+
+      expect(response.body.success).toBe(false);
+    });
+  });
+});
\ No newline at end of file
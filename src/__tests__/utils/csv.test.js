@@ -0,0 +1,37 @@
+const { parseCsv, parseCsvObjects, toCsvRow } = require('../../utils/csv');
+
+describe('CSV Utils', () => {
+  test('should parse quoted fields with commas, quotes and line breaks', () => {
+    const text = 'name,description\r\n"Chai Point, Lal Chowk","Serves ""noon chai""\nall day"\r\n';
+
+    expect(parseCsv(text)).toEqual([
+      ['name', 'description'],
+      ['Chai Point, Lal Chowk', 'Serves "noon chai"\nall day']
+    ]);
+  });
+
+  test('should keep empty fields and a last line without a line break', () => {
+    expect(parseCsv('a,b,c\n1,,3')).toEqual([['a', 'b', 'c'], ['1', '', '3']]);
+  });
+
+  test('should throw on an unterminated quoted field', () => {
+    expect(() => parseCsv('name\n"Chai Point')).toThrow('Unterminated quoted field in row 2');
+  });
+
+  test('should map rows to objects with spreadsheet row numbers', () => {
+    const text = '\uFEFFname, location.latitude ,tags\nChai Point,34.0837,"chai, kahwa"\n,,\nSunset Point,, \n';
+
+    expect(parseCsvObjects(text)).toEqual([
+      { row: 2, data: { name: 'Chai Point', 'location.latitude': '34.0837', tags: 'chai, kahwa' } },
+      { row: 4, data: { name: 'Sunset Point' } }
+    ]);
+  });
+
+  test('should format rows that parse back to the same fields', () => {
+    const values = ['Chai Point, Lal Chowk', 'Serves "noon chai"\nall day', 34.0837, null, undefined, ''];
+    const row = toCsvRow(values);
+
+    expect(row).toBe('"Chai Point, Lal Chowk","Serves ""noon chai""\nall day",34.0837,,,\r\n');
+    expect(parseCsv(row)).toEqual([['Chai Point, Lal Chowk', 'Serves "noon chai"\nall day', '34.0837', '', '', '']]);
+  });
+});
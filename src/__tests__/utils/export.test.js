@@ -0,0 +1,26 @@
+const { toCsvValue, fromCsvValue } = require('../../utils/export');
+
+describe('Export Utils', () => {
+  test('should format lists, dates and empty values for CSV cells', () => {
+    expect(toCsvValue(['chai', 'breakfast'])).toBe('chai; breakfast');
+    expect(toCsvValue(new Date('2025-09-13T10:06:01.860Z'))).toBe('2025-09-13T10:06:01.860Z');
+    expect(toCsvValue(null)).toBe('');
+    expect(toCsvValue(undefined)).toBe('');
+    expect(toCsvValue(74.7973)).toBe('74.7973');
+  });
+
+  test('should defuse spreadsheet formulas but keep phone numbers', () => {
+    expect(toCsvValue('=HYPERLINK("http://example.com")')).toBe('\'=HYPERLINK("http://example.com")');
+    expect(toCsvValue('@SUM(A1)')).toBe('\'@SUM(A1)');
+    expect(toCsvValue('-2+3')).toBe('\'-2+3');
+    expect(toCsvValue('+91 98765-43210')).toBe('+91 98765-43210');
+    expect(toCsvValue('-34.08')).toBe('-34.08');
+  });
+
+  test('should undo the formula apostrophe only', () => {
+    expect(fromCsvValue(toCsvValue('=HYPERLINK("http://example.com")'))).toBe('=HYPERLINK("http://example.com")');
+    expect(fromCsvValue(toCsvValue('-2+3'))).toBe('-2+3');
+    expect(fromCsvValue('\'Tis the season')).toBe('\'Tis the season');
+    expect(fromCsvValue('\'-34.08')).toBe('\'-34.08');
+  });
+});
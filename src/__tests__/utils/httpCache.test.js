@@ -0,0 +1,47 @@
+const { hashETag, setCacheHeaders } = require('../../utils/httpCache');
+
+describe('HTTP Cache Utils', () => {
+  const fakeResponse = () => {
+    const headers = {};
+    return {
+      headers,
+      set: (name, value) => { headers[name] = value; },
+      vary: (field) => { headers.Vary = field; }
+    };
+  };
+
+  test('should hash equal values to the same strong ETag', () => {
+    const etag = hashETag({ data: [{ name: 'Chai Point' }], total: 1 });
+
+    expect(etag).toMatch(/^"[\w-]+"$/);
+    expect(hashETag({ data: [{ name: 'Chai Point' }], total: 1 })).toBe(etag);
+    expect(hashETag({ data: [{ name: 'Chai Point' }], total: 2 })).not.toBe(etag);
+  });
+
+  test('should mark weak ETags', () => {
+    const etag = hashETag({ total: 1 });
+
+    expect(hashETag({ total: 1 }, { weak: true })).toBe(`W/${etag}`);
+  });
+
+  test('should set public caching headers for anonymous requests', () => {
+    const res = fakeResponse();
+    setCacheHeaders({}, res, { etag: '"abc"', lastModified: new Date('2025-09-13T10:06:39.930Z') });
+
+    expect(res.headers).toEqual({
+      ETag: '"abc"',
+      'Last-Modified': 'Sat, 13 Sep 2025 10:06:39 GMT',
+      'Cache-Control': 'public, max-age=0, s-maxage=0, must-revalidate',
+      Vary: 'Authorization'
+    });
+  });
+
+  test('should keep responses to signed-in users private', () => {
+    const res = fakeResponse();
+    setCacheHeaders({ user: { username: 'admin' } }, res, { etag: '"abc"', lastModified: null });
+
+    expect(res.headers['Cache-Control']).toBe('private, no-cache');
+    expect(res.headers['Last-Modified']).toBeUndefined();
+    expect(res.headers.Vary).toBeUndefined();
+  });
+});
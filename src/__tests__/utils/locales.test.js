@@ -0,0 +1,53 @@
+const { parseAcceptLanguage, resolveLocale, localizeGem, getTextDirection } = require('../../utils/locales');
+
+describe('Locale Utils', () => {
+  const gem = {
+    name: 'Shalimar Bagh',
+    description: 'Mughal garden built by Jahangir for his wife Nur Jahan.',
+    location: { latitude: 34.1497, longitude: 74.8703, address: 'Shalimar, Srinagar' },
+    image: { url: 'https://example.com/shalimar.jpg', alt: 'Terraced garden' },
+    images: [
+      { _id: 'a', url: 'https://example.com/shalimar.jpg', alt: 'Terraced garden', isCover: true, altTranslations: { ur: 'شالیمار باغ' } },
+      { _id: 'b', url: 'https://example.com/chinar.jpg', alt: 'Chinar trees', isCover: false }
+    ],
+    translations: {
+      ur: { name: 'شالیمار باغ', address: 'شالیمار، سرینگر' }
+    }
+  };
+
+  test('should pick the highest-weighted supported language', () => {
+    expect(parseAcceptLanguage('fr-FR,hi;q=0.5,ur-PK;q=0.9')).toBe('ur');
+    expect(parseAcceptLanguage('ks-IN')).toBe('ks');
+    expect(parseAcceptLanguage('fr,de;q=0.8')).toBeNull();
+    expect(parseAcceptLanguage(undefined)).toBeNull();
+  });
+
+  test('should prefer the lang parameter and fall back to English', () => {
+    expect(resolveLocale('HI', 'ur')).toBe('hi');
+    expect(resolveLocale(undefined, 'ur')).toBe('ur');
+    expect(resolveLocale('fr', 'de')).toBe('en');
+  });
+
+  test('should report right-to-left scripts', () => {
+    expect(getTextDirection('ur')).toBe('rtl');
+    expect(getTextDirection('ks')).toBe('rtl');
+    expect(getTextDirection('hi')).toBe('ltr');
+  });
+
+  test('should localize translated fields and fall back to English per field', () => {
+    const localized = localizeGem(gem, 'ur');
+
+    expect(localized.name).toBe('شالیمار باغ');
+    expect(localized.description).toBe(gem.description);
+    expect(localized.location.address).toBe('شالیمار، سرینگر');
+    expect(localized.image.alt).toBe('شالیمار باغ');
+    expect(localized.images.map(image => image.alt)).toEqual(['شالیمار باغ', 'Chinar trees']);
+    expect(localized.translations).toBeUndefined();
+    expect(localized.images[0].altTranslations).toBeUndefined();
+  });
+
+  test('should return English content for English and untranslated locales', () => {
+    expect(localizeGem(gem, 'en').name).toBe('Shalimar Bagh');
+    expect(localizeGem(gem, 'hi').location.address).toBe('Shalimar, Srinagar');
+  });
+});
@@ -0,0 +1,40 @@
+const { expandDotPaths, flattenToPaths, diffPaths } = require('../../utils/objectPaths');
+
+describe('Object Path Utils', () => {
+  test('should expand dot-path keys into nested objects', () => {
+    expect(expandDotPaths({
+      name: 'Chai Point',
+      'location.address': 'Lal Chowk, Srinagar',
+      location: { latitude: 34.08 }
+    })).toEqual({
+      name: 'Chai Point',
+      location: { address: 'Lal Chowk, Srinagar', latitude: 34.08 }
+    });
+  });
+
+  test('should flatten nested objects into dot paths', () => {
+    expect(flattenToPaths({
+      name: 'Chai Point',
+      location: { address: 'Lal Chowk, Srinagar' },
+      contact: { phone: null },
+      tags: ['chai', 'breakfast'],
+      image: {}
+    })).toEqual({
+      name: 'Chai Point',
+      'location.address': 'Lal Chowk, Srinagar',
+      'contact.phone': null,
+      tags: ['chai', 'breakfast']
+    });
+  });
+
+  test('should list changed paths between two objects', () => {
+    expect(diffPaths(
+      { name: 'Chai Point', location: { address: 'Lal Chowk' }, contact: { phone: '+91123' } },
+      { name: 'Chai Point', location: { address: 'Residency Road' }, isActive: false }
+    )).toEqual([
+      { path: 'location.address', from: 'Lal Chowk', to: 'Residency Road' },
+      { path: 'contact.phone', from: '+91123', to: null },
+      { path: 'isActive', from: null, to: false }
+    ]);
+  });
+});
\ No newline at end of file
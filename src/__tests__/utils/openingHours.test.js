@@ -0,0 +1,93 @@
+const { getOpeningStatus } = require('../../utils/openingHours');
+
+describe('Opening Hours Utils', () => {
+  // Mon-Sat 10:00-13:00 and 14:00-19:00 Srinagar time, closed Sunday
+  const workshopHours = {
+    weekly: ['mon', 'tue', 'wed', 'thu', 'fri', 'sat'].flatMap(day => [
+      { day, open: '10:00', close: '13:00' },
+      { day, open: '14:00', close: '19:00' }
+    ]),
+    exceptions: []
+  };
+
+  // 2025-09-15 is a Monday; 12:00 IST is 06:30 UTC
+  const mondayNoon = new Date('2025-09-15T06:30:00Z');
+
+  test('should report unknown status without opening hours', () => {
+    expect(getOpeningStatus(undefined, mondayNoon)).toEqual({
+      isOpenNow: null,
+      nextOpenAt: null,
+      nextCloseAt: null
+    });
+  });
+
+  test('should be open during a period and give the next close and open times', () => {
+    const status = getOpeningStatus(workshopHours, mondayNoon);
+
+    expect(status.isOpenNow).toBe(true);
+    expect(status.nextCloseAt.toISOString()).toBe('2025-09-15T07:30:00.000Z'); // 13:00 IST
+    expect(status.nextOpenAt.toISOString()).toBe('2025-09-15T08:30:00.000Z'); // 14:00 IST
+  });
+
+  test('should skip closed days when looking for the next opening', () => {
+    // Saturday 20:00 IST
+    const status = getOpeningStatus(workshopHours, new Date('2025-09-20T14:30:00Z'));
+
+    expect(status.isOpenNow).toBe(false);
+    expect(status.nextOpenAt.toISOString()).toBe('2025-09-22T04:30:00.000Z'); // Monday 10:00 IST
+    expect(status.nextCloseAt.toISOString()).toBe('2025-09-22T07:30:00.000Z');
+  });
+
+  test('should handle periods running past midnight', () => {
+    const lateNightHours = {
+      weekly: [{ day: 'fri', open: '18:00', close: '02:00' }]
+    };
+
+    // Saturday 01:00 IST
+    const status = getOpeningStatus(lateNightHours, new Date('2025-09-19T19:30:00Z'));
+
+    expect(status.isOpenNow).toBe(true);
+    expect(status.nextCloseAt.toISOString()).toBe('2025-09-19T20:30:00.000Z'); // Saturday 02:00 IST
+  });
+
+  test('should apply holiday exceptions over weekly hours', () => {
+    const status = getOpeningStatus({
+      ...workshopHours,
+      exceptions: [{ startDate: '2025-09-15', note: 'Public holiday' }]
+    }, mondayNoon);
+
+    expect(status.isOpenNow).toBe(false);
+    expect(status.nextOpenAt.toISOString()).toBe('2025-09-16T04:30:00.000Z'); // Tuesday 10:00 IST
+  });
+
+  test('should apply yearly seasonal closures that wrap around new year', () => {
+    const status = getOpeningStatus({
+      ...workshopHours,
+      exceptions: [{ startDate: '2000-12-15', endDate: '2000-02-28', repeatsYearly: true, note: 'Winter closure' }]
+    }, new Date('2026-01-12T06:30:00Z'));
+
+    expect(status.isOpenNow).toBe(false);
+    expect(status.nextOpenAt.toISOString()).toBe('2026-03-02T04:30:00.000Z'); // First Monday of March 10:00 IST
+  });
+
+  test('should let one-off exceptions override yearly ones', () => {
+    const status = getOpeningStatus({
+      ...workshopHours,
+      exceptions: [
+        { startDate: '2000-12-15', endDate: '2000-02-28', repeatsYearly: true },
+        { startDate: '2026-01-12', periods: [{ open: '11:00', close: '15:00' }], note: 'Winter craft fair' }
+      ]
+    }, new Date('2026-01-12T06:30:00Z'));
+
+    expect(status.isOpenNow).toBe(true);
+    expect(status.nextCloseAt.toISOString()).toBe('2026-01-12T09:30:00.000Z');
+  });
+
+  test('should not report a close time for places open around the clock', () => {
+    const status = getOpeningStatus({
+      weekly: ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'].map(day => ({ day, open: '00:00', close: '24:00' }))
+    }, mondayNoon);
+
+    expect(status).toEqual({ isOpenNow: true, nextOpenAt: null, nextCloseAt: null });
+  });
+});
@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+const { encodeCursor, decodeCursor, afterCursor } = require('../../utils/pagination');
+
+describe('Pagination Utils', () => {
+  const doc = {
+    _id: new mongoose.Types.ObjectId(),
+    name: 'Chai Point Lal Chowk',
+    createdAt: new Date('2025-09-13T10:06:01.860Z')
+  };
+
+  test('should round-trip a date cursor', () => {
+    const position = decodeCursor(encodeCursor(doc));
+
+    expect(position.field).toBe('createdAt');
+    expect(position.value).toEqual(doc.createdAt);
+    expect(position.id.equals(doc._id)).toBe(true);
+  });
+
+  test('should round-trip a string cursor', () => {
+    const position = decodeCursor(encodeCursor(doc, 'name'));
+
+    expect(position.field).toBe('name');
+    expect(position.value).toBe(doc.name);
+  });
+
+  test('should return null for malformed cursors', () => {
+    expect(decodeCursor('not-a-cursor')).toBeNull();
+    expect(decodeCursor(Buffer.from('{"field":"createdAt","value":"x","isDate":true,"id":"y"}').toString('base64url'))).toBeNull();
+  });
+
+  test('should reject cursor values that are not strings, numbers or dates', () => {
+    const id = doc._id.toString();
+    const craft = (payload) => Buffer.from(JSON.stringify({ field: 'createdAt', id, ...payload })).toString('base64url');
+
+    expect(decodeCursor(craft({ value: { $gt: '' } }))).toBeNull();
+    expect(decodeCursor(craft({ value: ['x'] }))).toBeNull();
+    expect(decodeCursor(craft({ value: true }))).toBeNull();
+    expect(decodeCursor(craft({ value: null }))).toBeNull();
+    expect(decodeCursor(craft({ value: 1757757961860, isDate: true }))).toBeNull();
+    expect(decodeCursor(craft({ field: '$where', value: 'x' }))).toBeNull();
+  });
+
+  test('should build a descending filter for items after the cursor', () => {
+    const position = decodeCursor(encodeCursor(doc));
+
+    expect(afterCursor(position)).toEqual({
+      $or: [
+        { createdAt: { $lt: doc.createdAt } },
+        { createdAt: doc.createdAt, _id: { $lt: position.id } }
+      ]
+    });
+  });
+
+  test('should build an ascending filter for items after the cursor', () => {
+    const position = decodeCursor(encodeCursor(doc, 'name'));
+
+    expect(afterCursor(position, 1)).toEqual({
+      $or: [
+        { name: { $gt: doc.name } },
+        { name: doc.name, _id: { $gt: position.id } }
+      ]
+    });
+  });
+});
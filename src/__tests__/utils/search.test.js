@@ -0,0 +1,50 @@
+const { buildFuzzyPattern, buildFuzzyRegexes, nameSimilarity } = require('../../utils/search');
+
+describe('Search Utils', () => {
+  test('should tolerate doubled letters and vowel variations', () => {
+    const [regex] = buildFuzzyRegexes('Nishaat');
+
+    expect(regex.test('Nishat Bagh')).toBe(true);
+    expect(regex.test('Near Nishat Bagh, Srinagar')).toBe(true);
+    expect(buildFuzzyRegexes('Shalamar')[0].test('Shalimar Bagh')).toBe(true);
+  });
+
+  test('should treat h as optional', () => {
+    expect(buildFuzzyRegexes('Dhal')[0].test('Dal Lake')).toBe(true);
+    expect(buildFuzzyRegexes('Dal')[0].test('Dhal Gate')).toBe(true);
+  });
+
+  test('should match word prefixes only', () => {
+    const [regex] = buildFuzzyRegexes('cha');
+
+    expect(regex.test('Chai Point')).toBe(true);
+    expect(regex.test('Machine Shop')).toBe(false);
+  });
+
+  test('should build one regex per term and skip empty terms', () => {
+    expect(buildFuzzyRegexes('  dal  lake ')).toHaveLength(2);
+    expect(buildFuzzyRegexes('!!! h')).toHaveLength(0);
+    expect(buildFuzzyPattern('...')).toBeNull();
+  });
+
+  test('should score spelling variants of the same place as similar', () => {
+    expect(nameSimilarity('Nishat Bagh', 'Nishaat Baagh')).toBe(1);
+    expect(nameSimilarity('Shalimar Bagh', 'Shalamar Bagh')).toBe(1);
+    expect(nameSimilarity('Dal Lake Shikara', 'Dhal Lake Shikara')).toBe(1);
+    expect(nameSimilarity('Ahdoos Restaurant', 'Ahdoo Restaurant')).toBeGreaterThan(0.8);
+  });
+
+  test('should score a name contained in a longer one as similar', () => {
+    expect(nameSimilarity('Chai Point', 'Chai Point Lal Chowk')).toBe(1);
+  });
+
+  test('should not match names on a single shared generic word', () => {
+    expect(nameSimilarity('Cafe', 'Cafe Arabica')).toBeLessThan(0.5);
+    expect(nameSimilarity('Nishat Bagh', 'Shalimar Bagh')).toBeLessThan(0.8);
+  });
+
+  test('should score different places as dissimilar', () => {
+    expect(nameSimilarity('Chai Point', 'Pashmina Weaver Workshop')).toBeLessThan(0.5);
+    expect(nameSimilarity('', 'Chai Point')).toBe(0);
+  });
+});
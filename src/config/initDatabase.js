@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const Gem = require('../models/Gem');
+const Category = require('../models/Category');
 
 /**
  * Initialize database with required indexes and configurations
@@ -8,24 +9,54 @@ async function initDatabase() {
   try {
     console.log('🔧 Initializing database...');
 
-    // Ensure all indexes are created
-    await Gem.createIndexes();
-    console.log('✅ Database indexes created successfully');
+    // Backfill GeoJSON points for gems created before geospatial support
+    const backfill = await Gem.collection.updateMany(
+      { geo: { $exists: false } },
+      [{
+        $set: {
+          geo: {
+            type: 'Point',
+            coordinates: ['$location.longitude', '$location.latitude']
+          }
+        }
+      }]
+    );
+    if (backfill.modifiedCount > 0) {
+      console.log(`✅ Backfilled geo points for ${backfill.modifiedCount} gems`);
+    }
 
-    // Create 2dsphere index for geospatial queries if needed
-    try {
-      await Gem.collection.createIndex(
-        { 'location': '2dsphere' },
-        { background: true }
-      );
-      console.log('✅ Geospatial index created successfully');
-    } catch (error) {
-      // Index might already exist, which is fine
-      if (!error.message.includes('already exists')) {
-        console.warn('⚠️ Warning creating geospatial index:', error.message);
-      }
+    // Backfill one-image galleries for gems created before gallery support
+    const gemsWithoutGallery = await Gem.collection
+      .find({ images: { $exists: false } }, { projection: { image: 1 } })
+      .toArray();
+    if (gemsWithoutGallery.length > 0) {
+      await Gem.collection.bulkWrite(gemsWithoutGallery.map(gem => ({
+        updateOne: {
+          filter: { _id: gem._id },
+          update: {
+            $set: {
+              images: gem.image ? [{ ...gem.image, _id: new mongoose.Types.ObjectId(), isCover: true }] : []
+            }
+          }
+        }
+      })));
+      console.log(`✅ Backfilled image galleries for ${gemsWithoutGallery.length} gems`);
     }
 
+    // Create the default categories on first run and add default subcategories
+    // introduced since
+    await Category.ensureDefaults();
+    const addedSubcategories = await Category.addMissingDefaultSubcategories();
+    if (addedSubcategories.length > 0) {
+      console.log(`✅ Added default subcategories: ${addedSubcategories.map(({ category, subcategory }) => `${category}/${subcategory}`).join(', ')}`);
+    }
+    console.log('✅ Categories ready');
+
+    // Ensure all indexes are created (including the 2dsphere index on geo)
+    await Gem.createIndexes();
+    await Category.createIndexes();
+    console.log('✅ Database indexes created successfully');
+
     console.log('✅ Database initialization completed');
   } catch (error) {
     console.error('❌ Database initialization failed:', error);
@@ -33,4 +64,15 @@ async function initDatabase() {
   }
 }
 
+// Run initialization if this file is executed directly
+if (require.main === module) {
+  require('dotenv').config();
+  const database = require('./database');
+
+  database.connect()
+    .then(() => initDatabase())
+    .catch(() => { process.exitCode = 1; })
+    .finally(() => database.disconnect());
+}
+
 module.exports = { initDatabase };
\ No newline at end of file
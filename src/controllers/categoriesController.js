@@ -0,0 +1,740 @@
+const Category = require('../models/Category');
+const Gem = require('../models/Gem');
+const GemRevision = require('../models/GemRevision');
+const GemRequest = require('../models/GemRequest');
+const Joi = require('joi');
+const database = require('../config/database');
+const categoryService = require('../services/categoryService');
+
+const SLUG_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+
+/**
+ * Build a URL-friendly slug from a display name ("Street Food" -> "street-food")
+ */
+const slugify = (name) => {
+  return name
+    .normalize('NFKD')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+};
+
+/**
+ * Build the validation schema shared by categories and subcategories
+ */
+const buildNodeSchema = (label) => Joi.object({
+  slug: Joi.string().trim().lowercase().pattern(SLUG_PATTERN).max(50).optional().messages({
+    'string.pattern.base': 'Slug may only contain lowercase letters, numbers and hyphens',
+    'string.max': 'Slug cannot exceed 50 characters'
+  }),
+  name: Joi.string().trim().required().min(2).max(50).messages({
+    'string.empty': `${label} name is required`,
+    'string.min': `${label} name must be at least 2 characters long`,
+    'string.max': `${label} name cannot exceed 50 characters`,
+    'any.required': `${label} name is required`
+  }),
+  icon: Joi.string().trim().max(200).allow('').optional().messages({
+    'string.max': 'Icon cannot exceed 200 characters'
+  }),
+  sortOrder: Joi.number().integer().optional().messages({
+    'number.base': 'Sort order must be a whole number',
+    'number.integer': 'Sort order must be a whole number'
+  })
+});
+
+/**
+ * Validation schema for creating subcategories
+ */
+const subcategorySchema = buildNodeSchema('Subcategory');
+
+/**
+ * Validation schema for creating categories, optionally with their subcategories
+ */
+const categorySchema = buildNodeSchema('Category').keys({
+  subcategories: Joi.array().items(subcategorySchema).optional()
+});
+
+/**
+ * Validation schema for partial category updates
+ * Subcategories are changed through their own endpoints so renames reach the gems
+ */
+const categoryPatchSchema = categorySchema
+  .fork(['name'], (schema) => schema.optional())
+  .fork(['subcategories'], () => Joi.forbidden().messages({
+    'any.unknown': 'Use /api/categories/:slug/subcategories to change subcategories'
+  }))
+  .min(1)
+  .messages({
+    'object.min': 'At least one field must be provided'
+  });
+
+/**
+ * Validation schema for partial subcategory updates
+ */
+const subcategoryPatchSchema = subcategorySchema
+  .fork(['name'], (schema) => schema.optional())
+  .min(1)
+  .messages({
+    'object.min': 'At least one field must be provided'
+  });
+
+/**
+ * Send a 400 response for Joi or Mongoose validation errors
+ */
+const sendValidationError = (res, error) => {
+  const details = error.isJoi
+    ? error.details.map(detail => ({ field: detail.path.join('.'), message: detail.message }))
+    : Object.values(error.errors).map(err => ({ field: err.path, message: err.message }));
+
+  return res.status(400).json({
+    success: false,
+    error: {
+      code: 'VALIDATION_ERROR',
+      message: 'Invalid input data',
+      details
+    },
+    timestamp: new Date().toISOString()
+  });
+};
+
+/**
+ * Count gems (in any state) and pending gem requests using a category,
+ * or one of its subcategories when a subcategory name is given
+ */
+const countCategoryUsage = async (name, subcategory) => {
+  const filter = subcategory ? { category: name, subcategory } : { category: name };
+
+  // Raw collection count so inactive and trashed gems are included; merged
+  // gems only serve redirects, are never purged and admins can't see them
+  const [gems, pendingRequests] = await Promise.all([
+    Gem.collection.countDocuments({ ...filter, mergedInto: null }),
+    GemRequest.countDocuments({ ...filter, status: 'pending' })
+  ]);
+  return { gems, pendingRequests };
+};
+
+/**
+ * Attach active gem counts to each category and subcategory
+ * A category's count includes gems without (or outside) a subcategory
+ */
+const buildCategoryTree = (categories, counts) => {
+  const countFor = (category, subcategory) => counts
+    .filter(entry => entry._id.category === category && (subcategory === undefined || entry._id.subcategory === subcategory))
+    .reduce((sum, entry) => sum + entry.count, 0);
+
+  return categories.map(({ __v, subcategories, ...category }) => ({
+    ...category,
+    gemCount: countFor(category.name),
+    subcategories: subcategories.map(subcategory => ({
+      ...subcategory,
+      gemCount: countFor(category.name, subcategory.name)
+    }))
+  }));
+};
+
+/**
+ * Record an update revision on every gem (in any state) matching a filter after
+ * a category or subcategory rename was carried over to it, so the rename shows
+ * in each gem's history like an edit
+ */
+const recordRenameRevisions = async (req, filter, path, previousName) => {
+  try {
+    // Raw collection read so inactive and trashed gems are included
+    const docs = await Gem.collection.find(filter).toArray();
+
+    await GemRevision.insertMany(docs.map(doc => {
+      const gem = Gem.hydrate(doc);
+      const snapshot = GemRevision.snapshot(gem);
+      return {
+        gem: gem._id,
+        action: 'update',
+        changes: [{ path, from: previousName, to: snapshot[path] }],
+        snapshot,
+        gemVersion: gem.__v,
+        changedBy: req.user?.username || 'admin'
+      };
+    }));
+  } catch (error) {
+    console.error('Error recording gem revisions:', error);
+  }
+};
+
+/**
+ * Send a 404 response for an unknown category slug
+ */
+const sendCategoryNotFound = (res, slug) => {
+  return res.status(404).json({
+    success: false,
+    error: {
+      code: 'CATEGORY_NOT_FOUND',
+      message: 'Category not found',
+      details: { requestedSlug: slug }
+    },
+    timestamp: new Date().toISOString()
+  });
+};
+
+/**
+ * Send a 404 response for an unknown subcategory slug
+ */
+const sendSubcategoryNotFound = (res, category, slug) => {
+  return res.status(404).json({
+    success: false,
+    error: {
+      code: 'SUBCATEGORY_NOT_FOUND',
+      message: `Subcategory not found in '${category.name}'`,
+      details: { category: category.slug, requestedSlug: slug }
+    },
+    timestamp: new Date().toISOString()
+  });
+};
+
+/**
+ * Send a 409 response for a subcategory slug or name already used in its category
+ */
+const sendDuplicateSubcategory = (res, category, subcategory) => {
+  return res.status(409).json({
+    success: false,
+    error: {
+      code: 'DUPLICATE_SUBCATEGORY',
+      message: `'${category.name}' already has a subcategory with this slug or name`,
+      details: { slug: subcategory.slug, name: subcategory.name }
+    },
+    timestamp: new Date().toISOString()
+  });
+};
+
+/**
+ * Send a 409 response for a duplicate slug or name
+ */
+const sendDuplicateCategory = (res, error) => {
+  return res.status(409).json({
+    success: false,
+    error: {
+      code: 'DUPLICATE_CATEGORY',
+      message: 'A category with this slug or name already exists',
+      details: error.keyValue
+    },
+    timestamp: new Date().toISOString()
+  });
+};
+
+/**
+ * Get the category tree in display order with active gem counts per node
+ * GET /api/categories
+ */
+const getAllCategories = async (req, res) => {
+  try {
+    // Ensure database connection is established (critical for serverless)
+    await database.ensureConnection();
+
+    const [categories, counts] = await Promise.all([
+      categoryService.getCategories(),
+      Gem.countByCategory()
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: buildCategoryTree(categories, counts),
+      total: categories.length,
+      message: `Found ${categories.length} categories`,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Error fetching categories:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'DATABASE_ERROR',
+        message: 'Failed to fetch categories',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+};
+
+/**
+ * Get a category by slug
+ * GET /api/categories/:slug
+ */
+const getCategoryBySlug = async (req, res) => {
+  try {
+    // Ensure database connection is established (critical for serverless)
+    await database.ensureConnection();
+
+    const { slug } = req.params;
+    const category = await Category.findOne({ slug: slug.toLowerCase() });
+
+    if (!category) {
+      return sendCategoryNotFound(res, slug);
+    }
+
+    res.status(200).json({
+      success: true,
+      data: category,
+      message: `Category '${category.name}' retrieved successfully`,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Error fetching category:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'DATABASE_ERROR',
+        message: 'Failed to fetch category',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+};
+
+/**
+ * Create a new category (Admin only)
+ * The slug is derived from the name when omitted
+ * POST /api/categories
+ */
+const createCategory = async (req, res) => {
+  try {
+    // Ensure database connection is established (critical for serverless)
+    await database.ensureConnection();
+
+    // Validate request body
+    const { error, value } = categorySchema.validate(req.body || {});
+    if (error) {
+      return sendValidationError(res, error);
+    }
+
+    const slug = value.slug || slugify(value.name);
+    if (!slug) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Invalid input data',
+          details: [{ field: 'slug', message: 'Slug is required when the name has no latin letters or numbers' }]
+        },
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    // Make sure the default categories exist before the first custom one
+    await Category.ensureDefaults();
+
+    const subcategories = (value.subcategories || []).map(subcategory => ({
+      ...subcategory,
+      slug: subcategory.slug || slugify(subcategory.name)
+    }));
+
+    const category = await Category.create({ ...value, slug, subcategories });
+    categoryService.invalidate();
+
+    res.status(201).json({
+      success: true,
+      data: category,
+      message: `Category '${category.name}' created successfully`,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Error creating category:', error);
+
+    // Handle model validation errors (e.g. duplicate subcategories)
+    if (error.name === 'ValidationError') {
+      return sendValidationError(res, error);
+    }
+
+    // Handle duplicate slug or name
+    if (error.code === 11000) {
+      return sendDuplicateCategory(res, error);
+    }
+
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'DATABASE_ERROR',
+        message: 'Failed to create category',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+};
+
+/**
+ * Update a category (Admin only)
+ * Renaming a category also renames it on every gem and gem request using it
+ * PATCH /api/categories/:slug
+ */
+const updateCategory = async (req, res) => {
+  try {
+    // Ensure database connection is established (critical for serverless)
+    await database.ensureConnection();
+
+    const { slug } = req.params;
+
+    // Validate request body
+    const { error, value } = categoryPatchSchema.validate(req.body || {});
+    if (error) {
+      return sendValidationError(res, error);
+    }
+
+    const category = await Category.findOne({ slug: slug.toLowerCase() });
+
+    if (!category) {
+      return sendCategoryNotFound(res, slug);
+    }
+
+    const previousName = category.name;
+    category.set(value);
+    await category.save();
+
+    // Gems and requests store the display name, so carry a rename over to them
+    // (bumping updatedAt and the version so caches and offline copies pick it up)
+    let renamed = { gems: 0, requests: 0 };
+    try {
+      if (category.name !== previousName) {
+        const [gemResult, requestResult] = await Promise.all([
+          Gem.collection.updateMany({ category: previousName }, { $set: { category: category.name, updatedAt: new Date() }, $inc: { __v: 1 } }),
+          GemRequest.updateMany({ category: previousName }, { $set: { category: category.name } })
+        ]);
+        renamed = { gems: gemResult.modifiedCount, requests: requestResult.modifiedCount };
+      }
+    } finally {
+      // The category is saved even if the cascade fails, so never keep serving the old one
+      categoryService.invalidate();
+    }
+
+    if (renamed.gems > 0) {
+      await recordRenameRevisions(req, { category: category.name }, 'category', previousName);
+    }
+
+    res.status(200).json({
+      success: true,
+      data: category,
+      renamed,
+      message: `Category '${category.name}' updated successfully`,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Error updating category:', error);
+
+    // Handle model validation errors
+    if (error.name === 'ValidationError') {
+      return sendValidationError(res, error);
+    }
+
+    // Handle duplicate slug or name
+    if (error.code === 11000) {
+      return sendDuplicateCategory(res, error);
+    }
+
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'DATABASE_ERROR',
+        message: 'Failed to update category',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+};
+
+/**
+ * Delete a category (Admin only)
+ * Refused while any gem (including inactive and trashed ones) or pending
+ * gem request still uses it
+ * DELETE /api/categories/:slug
+ */
+const deleteCategory = async (req, res) => {
+  try {
+    // Ensure database connection is established (critical for serverless)
+    await database.ensureConnection();
+
+    const { slug } = req.params;
+    const category = await Category.findOne({ slug: slug.toLowerCase() });
+
+    if (!category) {
+      return sendCategoryNotFound(res, slug);
+    }
+
+    const usage = await countCategoryUsage(category.name);
+
+    if (usage.gems > 0 || usage.pendingRequests > 0) {
+      return res.status(409).json({
+        success: false,
+        error: {
+          code: 'CATEGORY_IN_USE',
+          message: `Category '${category.name}' is still used by ${usage.gems} gems and ${usage.pendingRequests} pending requests`,
+          details: usage
+        },
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    await category.deleteOne();
+    categoryService.invalidate();
+
+    res.status(200).json({
+      success: true,
+      data: {
+        deletedCategory: {
+          id: category._id,
+          slug: category.slug,
+          name: category.name
+        }
+      },
+      message: `Category '${category.name}' deleted successfully`,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Error deleting category:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'DATABASE_ERROR',
+        message: 'Failed to delete category',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+};
+
+/**
+ * Add a subcategory to a category (Admin only)
+ * The slug is derived from the name when omitted
+ * POST /api/categories/:slug/subcategories
+ */
+const createSubcategory = async (req, res) => {
+  try {
+    // Ensure database connection is established (critical for serverless)
+    await database.ensureConnection();
+
+    const { slug } = req.params;
+
+    // Validate request body
+    const { error, value } = subcategorySchema.validate(req.body || {});
+    if (error) {
+      return sendValidationError(res, error);
+    }
+
+    const category = await Category.findOne({ slug: slug.toLowerCase() });
+
+    if (!category) {
+      return sendCategoryNotFound(res, slug);
+    }
+
+    const subcategory = { ...value, slug: value.slug || slugify(value.name) };
+
+    if (category.findSubcategory(subcategory.slug) || category.findSubcategory(subcategory.name)) {
+      return sendDuplicateSubcategory(res, category, subcategory);
+    }
+
+    category.subcategories.push(subcategory);
+    await category.save();
+    categoryService.invalidate();
+
+    res.status(201).json({
+      success: true,
+      data: category,
+      message: `Subcategory '${subcategory.name}' added to '${category.name}'`,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Error creating subcategory:', error);
+
+    // Handle model validation errors (e.g. a name without latin letters and no slug)
+    if (error.name === 'ValidationError') {
+      return sendValidationError(res, error);
+    }
+
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'DATABASE_ERROR',
+        message: 'Failed to create subcategory',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+};
+
+/**
+ * Update a subcategory (Admin only)
+ * Renaming a subcategory also renames it on every gem and gem request using it
+ * PATCH /api/categories/:slug/subcategories/:subSlug
+ */
+const updateSubcategory = async (req, res) => {
+  try {
+    // Ensure database connection is established (critical for serverless)
+    await database.ensureConnection();
+
+    const { slug, subSlug } = req.params;
+
+    // Validate request body
+    const { error, value } = subcategoryPatchSchema.validate(req.body || {});
+    if (error) {
+      return sendValidationError(res, error);
+    }
+
+    const category = await Category.findOne({ slug: slug.toLowerCase() });
+
+    if (!category) {
+      return sendCategoryNotFound(res, slug);
+    }
+
+    const subcategory = category.subcategories.find(item => item.slug === subSlug.toLowerCase());
+
+    if (!subcategory) {
+      return sendSubcategoryNotFound(res, category, subSlug);
+    }
+
+    // Slugs and names must stay unique within the category
+    const clash = [value.slug, value.name]
+      .filter(Boolean)
+      .map(candidate => category.findSubcategory(candidate))
+      .find(match => match && !match._id.equals(subcategory._id));
+    if (clash) {
+      return sendDuplicateSubcategory(res, category, clash);
+    }
+
+    const previousName = subcategory.name;
+    subcategory.set(value);
+    await category.save();
+
+    // Gems and requests store the display name, so carry a rename over to them
+    // (bumping updatedAt and the version so caches and offline copies pick it up)
+    let renamed = { gems: 0, requests: 0 };
+    try {
+      if (subcategory.name !== previousName) {
+        const filter = { category: category.name, subcategory: previousName };
+        const [gemResult, requestResult] = await Promise.all([
+          Gem.collection.updateMany(filter, { $set: { subcategory: subcategory.name, updatedAt: new Date() }, $inc: { __v: 1 } }),
+          GemRequest.updateMany(filter, { $set: { subcategory: subcategory.name } })
+        ]);
+        renamed = { gems: gemResult.modifiedCount, requests: requestResult.modifiedCount };
+      }
+    } finally {
+      // The category is saved even if the cascade fails, so never keep serving the old one
+      categoryService.invalidate();
+    }
+
+    if (renamed.gems > 0) {
+      await recordRenameRevisions(req, { category: category.name, subcategory: subcategory.name }, 'subcategory', previousName);
+    }
+
+    res.status(200).json({
+      success: true,
+      data: category,
+      renamed,
+      message: `Subcategory '${subcategory.name}' updated successfully`,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Error updating subcategory:', error);
+
+    // Handle model validation errors
+    if (error.name === 'ValidationError') {
+      return sendValidationError(res, error);
+    }
+
+    // Handle duplicate category slug or name
+    if (error.code === 11000) {
+      return sendDuplicateCategory(res, error);
+    }
+
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'DATABASE_ERROR',
+        message: 'Failed to update subcategory',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+};
+
+/**
+ * Delete a subcategory (Admin only)
+ * Refused while any gem (including inactive and trashed ones) or pending
+ * gem request still uses it
+ * DELETE /api/categories/:slug/subcategories/:subSlug
+ */
+const deleteSubcategory = async (req, res) => {
+  try {
+    // Ensure database connection is established (critical for serverless)
+    await database.ensureConnection();
+
+    const { slug, subSlug } = req.params;
+    const category = await Category.findOne({ slug: slug.toLowerCase() });
+
+    if (!category) {
+      return sendCategoryNotFound(res, slug);
+    }
+
+    const subcategory = category.subcategories.find(item => item.slug === subSlug.toLowerCase());
+
+    if (!subcategory) {
+      return sendSubcategoryNotFound(res, category, subSlug);
+    }
+
+    const usage = await countCategoryUsage(category.name, subcategory.name);
+
+    if (usage.gems > 0 || usage.pendingRequests > 0) {
+      return res.status(409).json({
+        success: false,
+        error: {
+          code: 'SUBCATEGORY_IN_USE',
+          message: `Subcategory '${subcategory.name}' is still used by ${usage.gems} gems and ${usage.pendingRequests} pending requests`,
+          details: usage
+        },
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    subcategory.deleteOne();
+    await category.save();
+    categoryService.invalidate();
+
+    res.status(200).json({
+      success: true,
+      data: category,
+      message: `Subcategory '${subcategory.name}' deleted from '${category.name}'`,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Error deleting subcategory:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'DATABASE_ERROR',
+        message: 'Failed to delete subcategory',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+};
+
+module.exports = {
+  getAllCategories,
+  getCategoryBySlug,
+  createCategory,
+  updateCategory,
+  deleteCategory,
+  createSubcategory,
+  updateSubcategory,
+  deleteSubcategory
+};
\ No newline at end of file
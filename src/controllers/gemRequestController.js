@@ -2,6 +2,16 @@ const GemRequest = require('../models/GemRequest');
 const Gem = require('../models/Gem');
 const Joi = require('joi');
 const database = require('../config/database');
+const categoryService = require('../services/categoryService');
+const { MAX_GALLERY_IMAGES } = require('../utils/gallery');
+const { EXPORT_FORMATS, streamExport } = require('../utils/export');
+const {
+  MIN_PRICE_LEVEL,
+  MAX_PRICE_LEVEL,
+  AMENITIES,
+  MAX_TAGS,
+  MAX_TAG_LENGTH
+} = require('../utils/gemAttributes');
 
 /**
  * Submit a new gem request from mobile users
@@ -11,6 +21,23 @@ const submitGemRequest = async (req, res) => {
   try {
     // Ensure database connection is established (critical for serverless)
     await database.ensureConnection();
+    // Validation schema for a single image (also used for gallery images)
+    const imageSchema = Joi.object({
+      url: Joi.string().uri().required().messages({
+        'string.uri': 'Image URL must be a valid URI',
+        'any.required': 'Image URL is required'
+      }),
+      thumbnail: Joi.string().uri().optional().messages({
+        'string.uri': 'Thumbnail URL must be a valid URI'
+      }),
+      alt: Joi.string().required().min(5).max(100).messages({
+        'string.empty': 'Image alt text is required',
+        'string.min': 'Image alt text must be at least 5 characters long',
+        'string.max': 'Image alt text cannot exceed 100 characters',
+        'any.required': 'Image alt text is required'
+      })
+    });
+
     // Validation schema for gem requests
     const requestSchema = Joi.object({
       name: Joi.string().required().min(2).max(100).messages({
@@ -25,10 +52,13 @@ const submitGemRequest = async (req, res) => {
         'string.max': 'Description cannot exceed 1000 characters',
         'any.required': 'Description is required'
       }),
-      category: Joi.string().valid('Food', 'Craft', 'Viewpoint', 'Shopping', 'Experience').required().messages({
-        'any.only': 'Category must be one of: Food, Craft, Viewpoint, Shopping, Experience',
+      category: Joi.string().valid(Joi.in('$categories')).required().messages({
+        'any.only': 'Category must be one of: {{$categoryList}}',
         'any.required': 'Category is required'
       }),
+      subcategory: Joi.string().trim().max(50).optional().messages({
+        'string.max': 'Subcategory cannot exceed 50 characters'
+      }),
       location: Joi.object({
         latitude: Joi.number().min(-90).max(90).required().messages({
           'number.min': 'Latitude must be between -90 and 90',
@@ -47,21 +77,31 @@ const submitGemRequest = async (req, res) => {
           'any.required': 'Address is required'
         })
       }).required(),
-      image: Joi.object({
-        url: Joi.string().uri().required().messages({
-          'string.uri': 'Image URL must be a valid URI',
-          'any.required': 'Image URL is required'
-        }),
-        thumbnail: Joi.string().uri().optional().messages({
-          'string.uri': 'Thumbnail URL must be a valid URI'
-        }),
-        alt: Joi.string().required().min(5).max(100).messages({
-          'string.empty': 'Image alt text is required',
-          'string.min': 'Image alt text must be at least 5 characters long',
-          'string.max': 'Image alt text cannot exceed 100 characters',
-          'any.required': 'Image alt text is required'
-        })
-      }).required(),
+      image: imageSchema.when('images', {
+        is: Joi.array().min(1).required(),
+        then: Joi.optional(),
+        otherwise: Joi.required()
+      }),
+      images: Joi.array().items(imageSchema.keys({
+        isCover: Joi.boolean().optional()
+      })).max(MAX_GALLERY_IMAGES).optional().messages({
+        'array.max': `A gem request cannot have more than ${MAX_GALLERY_IMAGES} images`
+      }),
+      priceLevel: Joi.number().integer().min(MIN_PRICE_LEVEL).max(MAX_PRICE_LEVEL).optional().messages({
+        'number.base': `Price level must be a whole number from ${MIN_PRICE_LEVEL} to ${MAX_PRICE_LEVEL}`,
+        'number.integer': `Price level must be a whole number from ${MIN_PRICE_LEVEL} to ${MAX_PRICE_LEVEL}`,
+        'number.min': `Price level must be a whole number from ${MIN_PRICE_LEVEL} to ${MAX_PRICE_LEVEL}`,
+        'number.max': `Price level must be a whole number from ${MIN_PRICE_LEVEL} to ${MAX_PRICE_LEVEL}`
+      }),
+      amenities: Joi.array().items(Joi.string().valid(...AMENITIES).messages({
+        'any.only': `Amenity must be one of: ${AMENITIES.join(', ')}`
+      })).optional(),
+      tags: Joi.array().items(Joi.string().trim().min(1).max(MAX_TAG_LENGTH).messages({
+        'string.empty': 'Tags cannot be empty',
+        'string.max': `Tags cannot exceed ${MAX_TAG_LENGTH} characters`
+      })).max(MAX_TAGS).optional().messages({
+        'array.max': `A gem request cannot have more than ${MAX_TAGS} tags`
+      }),
       contact: Joi.object({
         phone: Joi.string().optional().pattern(/^\+?[\d\s\-\(\)]+$/).messages({
           'string.pattern.base': 'Phone number format is invalid'
@@ -73,7 +113,9 @@ const submitGemRequest = async (req, res) => {
     });
 
     // Validate request body
-    const { error, value } = requestSchema.validate(req.body);
+    const { error, value } = requestSchema.validate(req.body, {
+      context: await categoryService.getValidationContext()
+    });
     if (error) {
       return res.status(400).json({
         success: false,
@@ -102,6 +144,23 @@ const submitGemRequest = async (req, res) => {
 
   } catch (error) {
     console.error('Error submitting gem request:', error);
+
+    // Handle model validation errors (e.g. a subcategory outside the category)
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Invalid input data',
+          details: Object.values(error.errors).map(err => ({
+            field: err.path,
+            message: err.message
+          }))
+        },
+        timestamp: new Date().toISOString()
+      });
+    }
+
     res.status(500).json({
       success: false,
       error: {
@@ -123,25 +182,8 @@ const getAllGemRequests = async (req, res) => {
     // Ensure database connection is established (critical for serverless)
     await database.ensureConnection();
     
-    const { status, category, page = 1, limit = 20 } = req.query;
-    
-    // Build query object
-    let query = {};
-    
-    // Add status filter if provided
-    if (status && ['pending', 'approved', 'rejected'].includes(status)) {
-      query.status = status;
-    }
-    
-    // Add category filter if provided
-    if (category) {
-      const validCategories = ['Food', 'Craft', 'Viewpoint', 'Shopping', 'Experience'];
-      const normalizedCategory = category.charAt(0).toUpperCase() + category.slice(1).toLowerCase();
-      
-      if (validCategories.includes(normalizedCategory)) {
-        query.category = normalizedCategory;
-      }
-    }
+    const { page = 1, limit = 20 } = req.query;
+    const query = await buildGemRequestFilter(req.query);
     
     // Calculate pagination
     const skip = (parseInt(page) - 1) * parseInt(limit);
@@ -183,8 +225,117 @@ const getAllGemRequests = async (req, res) => {
   }
 };
 
+/**
+ * Build the Mongo filter shared by the gem request list and export
+ * Unknown statuses and categories are ignored rather than rejected
+ */
+const buildGemRequestFilter = async ({ status, category }) => {
+  const query = {};
+  
+  // Add status filter if provided
+  if (status && ['pending', 'approved', 'rejected'].includes(status)) {
+    query.status = status;
+  }
+  
+  // Add category filter if provided
+  if (category) {
+    const normalizedCategory = await categoryService.resolve(category);
+    
+    if (normalizedCategory) {
+      query.category = normalizedCategory;
+    }
+  }
+  
+  return query;
+};
+
+// CSV columns of a gem request export
+const GEM_REQUEST_EXPORT_COLUMNS = [
+  '_id', 'name', 'description', 'category', 'subcategory',
+  'location.latitude', 'location.longitude', 'location.address',
+  'image.url', 'image.alt', 'contact.phone', 'contact.whatsapp',
+  'priceLevel', 'amenities', 'tags', 'status', 'submittedBy', 'submittedAt',
+  'reviewedBy', 'reviewedAt', 'reviewNotes', 'approvedGemId'
+];
+
+/**
+ * Validation schema for gem request export query parameters
+ */
+const exportQuerySchema = Joi.object({
+  status: Joi.string(),
+  category: Joi.string(),
+  format: Joi.string().lowercase().valid(...EXPORT_FORMATS).default('csv').messages({
+    'any.only': `Format must be one of: ${EXPORT_FORMATS.join(', ')}`
+  })
+});
+
+/**
+ * Stream every matching gem request as a CSV or NDJSON download (Admin only)
+ * GET /api/gem-requests/export?status=pending&format=ndjson
+ */
+const exportGemRequests = async (req, res) => {
+  try {
+    // Ensure database connection is established (critical for serverless)
+    await database.ensureConnection();
+    
+    const { error, value } = exportQuerySchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Invalid query parameters',
+          details: error.details.map(detail => ({
+            field: detail.path.join('.'),
+            message: detail.message
+          }))
+        },
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    const query = await buildGemRequestFilter(value);
+    
+    await streamExport(res, GemRequest.find(query).sort({ _id: 1 }), {
+      format: value.format,
+      filename: `gem-requests-${new Date().toISOString().slice(0, 10)}`,
+      columns: GEM_REQUEST_EXPORT_COLUMNS
+    });
+    
+  } catch (error) {
+    console.error('Error exporting gem requests:', error);
+    
+    // The download has started, so the only way to signal failure is to cut it off
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+    
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'DATABASE_ERROR',
+        message: 'Failed to export gem requests',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+};
+
+/**
+ * Validation schema for gem request approval query parameters
+ * force skips duplicate detection
+ */
+const approveQuerySchema = Joi.object({
+  force: Joi.boolean().default(false).messages({
+    'boolean.base': 'force must be true or false'
+  })
+});
+
 /**
  * Approve a gem request and create actual gem
+ * Refused with 409 POSSIBLE_DUPLICATE when a gem with a similar name exists
+ * nearby, unless ?force=true is given
  * PUT /api/gems/requests/:id/approve
  */
 const approveGemRequest = async (req, res) => {
@@ -235,13 +386,54 @@ const approveGemRequest = async (req, res) => {
       });
     }
     
+    const { error: queryError, value: query } = approveQuerySchema.validate(req.query);
+    if (queryError) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Invalid query parameters',
+          details: queryError.details.map(detail => ({
+            field: detail.path.join('.'),
+            message: detail.message
+          }))
+        },
+        timestamp: new Date().toISOString()
+      });
+    }
+    const { force } = query;
+    
+    // Look for likely duplicates near the same coordinates
+    const possibleDuplicates = await Gem.findPossibleDuplicates(gemRequest);
+    if (possibleDuplicates.length > 0 && !force) {
+      return res.status(409).json({
+        success: false,
+        error: {
+          code: 'POSSIBLE_DUPLICATE',
+          message: `Found ${possibleDuplicates.length} similar gem(s) within ${Gem.DUPLICATE_RADIUS_METERS}m; retry with force=true to approve it anyway`,
+          details: { duplicates: possibleDuplicates }
+        },
+        timestamp: new Date().toISOString()
+      });
+    }
+    
     // Create the actual gem
     const newGem = new Gem({
       name: gemRequest.name,
       description: gemRequest.description,
       category: gemRequest.category,
+      subcategory: gemRequest.subcategory,
       location: gemRequest.location,
       image: gemRequest.image,
+      images: gemRequest.images.map(image => ({
+        url: image.url,
+        thumbnail: image.thumbnail,
+        alt: image.alt,
+        isCover: image.isCover
+      })),
+      priceLevel: gemRequest.priceLevel,
+      amenities: gemRequest.amenities,
+      tags: gemRequest.tags,
       contact: gemRequest.contact,
       isActive: true
     });
@@ -263,6 +455,7 @@ const approveGemRequest = async (req, res) => {
         request: gemRequest,
         createdGem: newGem
       },
+      ...(possibleDuplicates.length > 0 && { possibleDuplicates }),
       message: `Gem request approved and '${newGem.name}' has been added to the system`,
       timestamp: new Date().toISOString()
     });
@@ -434,6 +627,7 @@ const getGemRequestById = async (req, res) => {
 module.exports = {
   submitGemRequest,
   getAllGemRequests,
+  exportGemRequests,
   getGemRequestById,
   approveGemRequest,
   rejectGemRequest
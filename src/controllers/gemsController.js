@@ -1,51 +1,650 @@
 const Gem = require('../models/Gem');
+const GemRevision = require('../models/GemRevision');
+const GemRequest = require('../models/GemRequest');
 const Joi = require('joi');
 const database = require('../config/database');
+const { encodeCursor, decodeCursor, afterCursor } = require('../utils/pagination');
+const { buildFuzzyRegexes } = require('../utils/search');
+const { QueryJoi } = require('../utils/validation');
+const { isAdmin } = require('../middleware/auth');
+const categoryService = require('../services/categoryService');
+const { expandDotPaths, flattenToPaths, diffPaths } = require('../utils/objectPaths');
+const { MAX_GALLERY_IMAGES } = require('../utils/gallery');
+const { parseCsvObjects } = require('../utils/csv');
+const { EXPORT_FORMATS, fromCsvValue, streamExport } = require('../utils/export');
+const { hashETag, setCacheHeaders } = require('../utils/httpCache');
+const { DAYS, OPEN_TIME_PATTERN, CLOSE_TIME_PATTERN, DATE_PATTERN, hasOpeningHours, openAtFilter } = require('../utils/openingHours');
+const {
+  MIN_PRICE_LEVEL,
+  MAX_PRICE_LEVEL,
+  AMENITIES,
+  MAX_TAGS,
+  MAX_TAG_LENGTH,
+  normalizeTags
+} = require('../utils/gemAttributes');
+const {
+  DEFAULT_LOCALE,
+  SUPPORTED_LOCALES,
+  TRANSLATION_LOCALES,
+  TRANSLATABLE_FIELDS,
+  getTextDirection,
+  resolveLocale,
+  localizeGem
+} = require('../utils/locales');
+
+// Radius limits for "near me" searches (meters)
+const DEFAULT_NEAR_RADIUS = 5000;
+const MAX_NEAR_RADIUS = 50000;
+
+// Limits for related gem suggestions (radius in meters)
+const MAX_RELATED_RADIUS = 5000;
+const DEFAULT_RELATED_LIMIT = 10;
+const MAX_RELATED_LIMIT = 50;
+
+// Page size limits for the public gems list
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+// Days a soft-deleted gem stays in trash before it can be purged
+const TRASH_RETENTION_DAYS = parseInt(process.env.GEM_TRASH_RETENTION_DAYS) || 30;
+
+// Page size of the offline sync change feed
+const DEFAULT_SYNC_LIMIT = 100;
+const MAX_SYNC_LIMIT = 500;
+
+// The change feed leaves out the last few seconds of changes, so a save that
+// is still in flight when a client syncs cannot slip behind its sync token
+const SYNC_SETTLE_MS = 5000;
+
+// Queries shorter than this skip the text index and go straight to prefix matching
+const MIN_TEXT_SEARCH_LENGTH = 4;
+
+// Equatorial earth radius used to convert meters to radians for $centerSphere
+const EARTH_RADIUS_METERS = 6378100;
+
+// Sort options for the public gems list (distance requires lat/lng)
+const SORT_OPTIONS = {
+  newest: { field: 'createdAt', order: -1, type: 'date' },
+  updated: { field: 'updatedAt', order: -1, type: 'date' },
+  name: { field: 'name', order: 1, type: 'string' },
+  distance: { field: 'distance', order: 1, type: 'number' }
+};
+
+/**
+ * Check that a decoded cursor was issued for the sort and holds a value of its type
+ */
+const isCursorForSort = (cursor, sortOption) => {
+  if (cursor.field !== sortOption.field) return false;
+  return sortOption.type === 'date' ? cursor.value instanceof Date : typeof cursor.value === sortOption.type;
+};
+
+/**
+ * Validate a bounding box given as [minLng, minLat, maxLng, maxLat]
+ */
+const validateBbox = (value, helpers) => {
+  const [minLng, minLat, maxLng, maxLat] = value;
+  
+  if (minLng < -180 || maxLng > 180 || minLat < -90 || maxLat > 90 ||
+      minLng >= maxLng || minLat >= maxLat) {
+    return helpers.error('any.invalid');
+  }
+  return value;
+};
+
+/**
+ * Validation schema for page-based pagination query parameters
+ */
+const paginationQuerySchema = Joi.object({
+  page: Joi.number().integer().min(1).messages({
+    'number.base': 'Page must be a positive integer',
+    'number.integer': 'Page must be a positive integer',
+    'number.min': 'Page must be a positive integer'
+  }),
+  limit: Joi.number().integer().min(1).max(MAX_PAGE_SIZE).default(DEFAULT_PAGE_SIZE).messages({
+    'number.base': `Limit must be between 1 and ${MAX_PAGE_SIZE}`,
+    'number.integer': `Limit must be between 1 and ${MAX_PAGE_SIZE}`,
+    'number.min': `Limit must be between 1 and ${MAX_PAGE_SIZE}`,
+    'number.max': `Limit must be between 1 and ${MAX_PAGE_SIZE}`
+  })
+});
+
+/**
+ * Validation schema for gem list query parameters
+ */
+const gemListQuerySchema = paginationQuerySchema.keys({
+  includeInactive: Joi.boolean().messages({
+    'boolean.base': 'includeInactive must be true or false'
+  }),
+  category: QueryJoi.array().items(
+    Joi.string().insensitive().valid(Joi.in('$categories')).messages({
+      'any.only': 'Category must be one of: {{$categoryList}}'
+    })
+  ),
+  subcategory: QueryJoi.array().items(
+    Joi.string().insensitive().valid(Joi.in('$subcategories')).messages({
+      'any.only': 'Subcategory must be one of: {{$subcategoryList}}'
+    })
+  ),
+  hasWhatsapp: Joi.boolean().messages({
+    'boolean.base': 'hasWhatsapp must be true or false'
+  }),
+  hasPhone: Joi.boolean().messages({
+    'boolean.base': 'hasPhone must be true or false'
+  }),
+  priceLevel: QueryJoi.array().items(
+    Joi.number().integer().min(MIN_PRICE_LEVEL).max(MAX_PRICE_LEVEL).messages({
+      'number.base': `Price level must be a whole number from ${MIN_PRICE_LEVEL} to ${MAX_PRICE_LEVEL}`,
+      'number.integer': `Price level must be a whole number from ${MIN_PRICE_LEVEL} to ${MAX_PRICE_LEVEL}`,
+      'number.min': `Price level must be a whole number from ${MIN_PRICE_LEVEL} to ${MAX_PRICE_LEVEL}`,
+      'number.max': `Price level must be a whole number from ${MIN_PRICE_LEVEL} to ${MAX_PRICE_LEVEL}`
+    })
+  ),
+  amenities: QueryJoi.array().items(
+    Joi.string().lowercase().valid(...AMENITIES).messages({
+      'any.only': `Amenity must be one of: ${AMENITIES.join(', ')}`
+    })
+  ),
+  tags: QueryJoi.array().items(Joi.string().trim().lowercase().max(MAX_TAG_LENGTH)),
+  createdAfter: Joi.date().iso().messages({
+    'date.format': 'createdAfter must be an ISO 8601 date'
+  }),
+  createdBefore: Joi.date().iso().min(Joi.ref('createdAfter')).messages({
+    'date.format': 'createdBefore must be an ISO 8601 date',
+    'date.min': 'createdBefore must not be earlier than createdAfter'
+  }),
+  updatedAfter: Joi.date().iso().messages({
+    'date.format': 'updatedAfter must be an ISO 8601 date'
+  }),
+  updatedBefore: Joi.date().iso().min(Joi.ref('updatedAfter')).messages({
+    'date.format': 'updatedBefore must be an ISO 8601 date',
+    'date.min': 'updatedBefore must not be earlier than updatedAfter'
+  }),
+  bbox: QueryJoi.array().items(Joi.number()).length(4).custom(validateBbox).messages({
+    'number.base': 'bbox must be minLng,minLat,maxLng,maxLat',
+    'array.length': 'bbox must be minLng,minLat,maxLng,maxLat',
+    'any.invalid': 'bbox must be minLng,minLat,maxLng,maxLat within valid coordinate ranges'
+  }),
+  lat: Joi.number().min(-90).max(90).when('sort', { is: 'distance', then: Joi.required() }).messages({
+    'number.base': 'Latitude must be between -90 and 90',
+    'number.min': 'Latitude must be between -90 and 90',
+    'number.max': 'Latitude must be between -90 and 90',
+    'any.required': 'lat and lng are required to sort by distance'
+  }),
+  lng: Joi.number().min(-180).max(180).messages({
+    'number.base': 'Longitude must be between -180 and 180',
+    'number.min': 'Longitude must be between -180 and 180',
+    'number.max': 'Longitude must be between -180 and 180'
+  }),
+  radius: Joi.number().positive().max(MAX_NEAR_RADIUS).default(DEFAULT_NEAR_RADIUS).messages({
+    'number.base': `Radius must be a number of meters between 1 and ${MAX_NEAR_RADIUS}`,
+    'number.positive': `Radius must be a number of meters between 1 and ${MAX_NEAR_RADIUS}`,
+    'number.max': `Radius must be a number of meters between 1 and ${MAX_NEAR_RADIUS}`
+  }),
+  sort: Joi.string().valid(...Object.keys(SORT_OPTIONS)).messages({
+    'any.only': `Sort must be one of: ${Object.keys(SORT_OPTIONS).join(', ')}`
+  }),
+  cursor: Joi.string(),
+  openNow: Joi.boolean().messages({
+    'boolean.base': 'openNow must be true or false'
+  }),
+  lang: Joi.string().lowercase().valid(...SUPPORTED_LOCALES).messages({
+    'any.only': `lang must be one of: ${SUPPORTED_LOCALES.join(', ')}`
+  }),
+  format: Joi.string().lowercase().valid('json', 'geojson').messages({
+    'any.only': 'Format must be one of: json, geojson'
+  })
+})
+  .and('lat', 'lng')
+  .oxor('page', 'cursor')
+  .without('cursor', ['lat', 'lng'])
+  .messages({
+    'object.and': 'Both lat and lng are required for a near me search',
+    'object.oxor': 'Use either page or cursor, not both',
+    'object.without': 'Cursor pagination is not available for near me searches, use page instead'
+  });
+
+/**
+ * Build the MongoDB filter for validated gem list query parameters
+ */
+const buildGemListFilter = (params) => {
+  const {
+    includeInactive, category, subcategory, hasWhatsapp, hasPhone, priceLevel, amenities, tags,
+    createdAfter, createdBefore, updatedAfter, updatedBefore, bbox
+  } = params;
+  
+  // Inactive gems are hidden unless an admin explicitly asks for them
+  const query = { isActive: includeInactive ? { $in: [true, false] } : true };
+  
+  if (category && category.length > 0) {
+    query.category = category.length === 1 ? category[0] : { $in: category };
+  }
+  if (subcategory && subcategory.length > 0) {
+    query.subcategory = subcategory.length === 1 ? subcategory[0] : { $in: subcategory };
+  }
+  
+  // Contact filters treat missing and empty values alike
+  if (hasWhatsapp !== undefined) {
+    query['contact.whatsapp'] = hasWhatsapp ? { $nin: [null, ''] } : { $in: [null, ''] };
+  }
+  if (hasPhone !== undefined) {
+    query['contact.phone'] = hasPhone ? { $nin: [null, ''] } : { $in: [null, ''] };
+  }
+  
+  // Any of the given price levels, all of the given amenities, any of the given tags
+  if (priceLevel && priceLevel.length > 0) {
+    query.priceLevel = { $in: priceLevel };
+  }
+  if (amenities && amenities.length > 0) {
+    query.amenities = { $all: amenities };
+  }
+  if (tags && tags.length > 0) {
+    query.tags = { $in: tags };
+  }
+  
+  if (createdAfter || createdBefore) {
+    query.createdAt = {
+      ...(createdAfter && { $gte: createdAfter }),
+      ...(createdBefore && { $lte: createdBefore })
+    };
+  }
+  if (updatedAfter || updatedBefore) {
+    query.updatedAt = {
+      ...(updatedAfter && { $gte: updatedAfter }),
+      ...(updatedBefore && { $lte: updatedBefore })
+    };
+  }
+  
+  if (bbox) {
+    const [minLng, minLat, maxLng, maxLat] = bbox;
+    query.geo = {
+      $geoWithin: {
+        $geometry: {
+          type: 'Polygon',
+          coordinates: [[
+            [minLng, minLat],
+            [maxLng, minLat],
+            [maxLng, maxLat],
+            [minLng, maxLat],
+            [minLng, minLat]
+          ]]
+        }
+      }
+    };
+  }
+  
+  return query;
+};
+
+/**
+ * Filter for gems within a radius (meters) of a point, for use in $and
+ */
+const withinRadiusFilter = (lat, lng, radius) => ({
+  geo: { $geoWithin: { $centerSphere: [[lng, lat], radius / EARTH_RADIUS_METERS] } }
+});
+
+/**
+ * Narrow a gem list filter to gems that are (or are not) open at a given time
+ * The check runs in the database, so skip and limit still apply there; gems
+ * without opening hours never match
+ */
+const applyOpenNowFilter = (query, openNow, at = new Date()) => {
+  if (openNow === undefined) return query;
+
+  return { ...query, ...openAtFilter(at, openNow) };
+};
+
+/**
+ * Resolve the locale of a public read from `lang` or Accept-Language and
+ * describe it in the response headers
+ */
+const negotiateLocale = (req, res, lang) => {
+  const locale = resolveLocale(lang, req.headers['accept-language']);
+
+  res.set('Content-Language', locale);
+  res.vary('Accept-Language');
+  return locale;
+};
+
+/**
+ * Set the (weak) ETag of a gem list from a cheap summary of the gems matching its
+ * filter (count and latest updatedAt) plus the parameters and locale, and the
+ * current minute when opening hours make the body depend on the clock
+ * Lists get no Last-Modified: a gem leaving the list doesn't move updatedAt
+ * Returns the summary, or null if a 304 has already been sent
+ */
+const validateGemList = async (req, res, filter, { params, locale, at }) => {
+  const { count, lastUpdatedAt, withOpeningHours } = await Gem.summarizeList(filter);
+  const dependsOnClock = params.openNow !== undefined || withOpeningHours > 0;
+  
+  setCacheHeaders(req, res, {
+    etag: hashETag({
+      count,
+      lastUpdatedAt,
+      params,
+      locale,
+      ...(dependsOnClock && { minute: Math.floor(at.getTime() / 60000) })
+    }, { weak: true })
+  });
+  
+  if (req.fresh) {
+    res.status(304).end();
+    return null;
+  }
+  return { count };
+};
+
+/**
+ * Validate gem list query parameters, responding with 400/403 as needed
+ * Returns null if a response has already been sent
+ */
+const parseGemListQuery = async (req, res) => {
+  // Validate query parameters against the current categories
+  const { error, value } = gemListQuerySchema.validate(req.query, {
+    context: await categoryService.getValidationContext()
+  });
+  if (error) {
+    res.status(400).json({
+      success: false,
+      error: {
+        code: 'VALIDATION_ERROR',
+        message: 'Invalid query parameters',
+        details: error.details.map(detail => ({
+          field: detail.path.join('.'),
+          message: detail.message
+        }))
+      },
+      timestamp: new Date().toISOString()
+    });
+    return null;
+  }
+  
+  // Only admins may see inactive gems
+  if (value.includeInactive && !isAdmin(req)) {
+    res.status(403).json({
+      success: false,
+      error: {
+        code: 'INSUFFICIENT_PRIVILEGES',
+        message: 'Admin access required to include inactive gems'
+      },
+      timestamp: new Date().toISOString()
+    });
+    return null;
+  }
+  
+  return value;
+};
+
+/**
+ * Convert a gem to a GeoJSON Feature: the geoLocation virtual is the geometry
+ * and the (localized) gem fields are the properties
+ */
+const toGeoJSONFeature = (gem, locale) => {
+  const { _id, id, geo, geoLocation, location, deletedAt, deletedBy, ...fields } = localizeGem(gem, locale);
+  
+  return {
+    type: 'Feature',
+    id: _id.toString(),
+    geometry: geoLocation,
+    properties: { ...fields, address: location.address }
+  };
+};
+
+/**
+ * Send every gem matching validated list query parameters as a GeoJSON FeatureCollection
+ * List filters (category, bbox, lat/lng/radius, ...) apply; sorting and pagination do not
+ */
+const sendGemFeatureCollection = async (req, res, params) => {
+  const { lat, lng, radius } = params;
+  const at = new Date();
+  const query = applyOpenNowFilter(buildGemListFilter(params), params.openNow, at);
+  
+  if (lat !== undefined) {
+    query.$and = [withinRadiusFilter(lat, lng, radius)];
+  }
+  
+  const locale = negotiateLocale(req, res, params.lang);
+  
+  // Answer 304 before loading the gems if the client's copy is current
+  if (!await validateGemList(req, res, query, { params, locale, at })) return;
+  
+  const gems = await Gem.find(query).sort({ createdAt: -1, _id: -1 }).maxTimeMS(25000);
+  const featureCollection = {
+    type: 'FeatureCollection',
+    features: gems.map(gem => toGeoJSONFeature(gem, locale))
+  };
+  
+  res.type('application/geo+json');
+  res.status(200).json(featureCollection);
+};
+
+/**
+ * Get all gems as a GeoJSON FeatureCollection for web maps and GIS tools
+ * GET /api/gems.geojson?category=Viewpoint&bbox=74.7,34.0,74.9,34.2
+ */
+const getGemsGeoJSON = async (req, res) => {
+  try {
+    // Ensure database connection is established (critical for serverless)
+    await database.ensureConnection();
+    
+    const value = await parseGemListQuery(req, res);
+    if (!value) return;
+    
+    await sendGemFeatureCollection(req, res, value);
+    
+  } catch (error) {
+    console.error('Error exporting gems as GeoJSON:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'DATABASE_ERROR',
+        message: 'Failed to fetch gems from database',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+};
+
+// CSV columns of a gem export, named with the dotted paths the bulk import uses
+const GEM_EXPORT_COLUMNS = [
+  '_id', 'importKey', 'name', 'description', 'category', 'subcategory',
+  'location.latitude', 'location.longitude', 'location.address',
+  'image.url', 'image.thumbnail', 'image.alt', 'contact.phone', 'contact.whatsapp',
+  'priceLevel', 'amenities', 'tags', 'isActive', 'version',
+  'createdAt', 'updatedAt', 'deletedAt', 'deletedBy', 'mergedInto'
+];
+
+/**
+ * Validation schema for gem export query parameters: the list filters plus
+ * the file format and whether to include gems in trash
+ */
+const gemExportQuerySchema = gemListQuerySchema.keys({
+  format: Joi.string().lowercase().valid(...EXPORT_FORMATS).default('csv').messages({
+    'any.only': `Format must be one of: ${EXPORT_FORMATS.join(', ')}`
+  }),
+  includeDeleted: Joi.boolean().default(false).messages({
+    'boolean.base': 'includeDeleted must be true or false'
+  })
+});
+
+/**
+ * Stream every matching gem as a CSV or NDJSON download (Admin only)
+ * GET /api/gems/export?format=ndjson&includeInactive=true&includeDeleted=true
+ */
+const exportGems = async (req, res) => {
+  try {
+    // Ensure database connection is established (critical for serverless)
+    await database.ensureConnection();
+    
+    // Validate query parameters against the current categories
+    const { error, value } = gemExportQuerySchema.validate(req.query, {
+      context: await categoryService.getValidationContext()
+    });
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Invalid query parameters',
+          details: error.details.map(detail => ({
+            field: detail.path.join('.'),
+            message: detail.message
+          }))
+        },
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    const { lat, lng, radius } = value;
+    const query = applyOpenNowFilter(buildGemListFilter(value), value.openNow);
+    
+    if (lat !== undefined) {
+      query.$and = [withinRadiusFilter(lat, lng, radius)];
+    }
+    
+    // Naming deletedAt switches off the model's trash filter; deletedAt is
+    // never false, so this matches every gem, in trash or not
+    if (value.includeDeleted) {
+      query.deletedAt = { $ne: false };
+    }
+    
+    await streamExport(res, Gem.find(query).sort({ _id: 1 }), {
+      format: value.format,
+      filename: `gems-${new Date().toISOString().slice(0, 10)}`,
+      columns: GEM_EXPORT_COLUMNS
+    });
+    
+  } catch (error) {
+    console.error('Error exporting gems:', error);
+    
+    // The download has started, so the only way to signal failure is to cut it off
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+    
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'DATABASE_ERROR',
+        message: 'Failed to export gems',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+};
 
 /**
- * Get all gems with optional category filtering
- * GET /api/gems?category=Food
+ * Get all gems with filtering, sorting, pagination and "near me" search
+ * GET /api/gems?category=Food,Craft&hasWhatsapp=true&sort=name&page=2&limit=20
+ * GET /api/gems?limit=20&cursor=<nextCursor>
+ * GET /api/gems?lat=34.0837&lng=74.7973&radius=2000
+ * GET /api/gems?category=Craft&openNow=true
+ * GET /api/gems?lang=ur
+ * GET /api/gems?format=geojson
  */
 const getAllGems = async (req, res) => {
   try {
     // Ensure database connection is established (critical for serverless)
     await database.ensureConnection();
     
-    const { category } = req.query;
+    const value = await parseGemListQuery(req, res);
+    if (!value) return;
     
-    // Build query object
-    let query = { isActive: true };
+    if (value.format === 'geojson') {
+      return sendGemFeatureCollection(req, res, value);
+    }
     
-    // Add category filter if provided
-    if (category) {
-      // Validate category
-      const validCategories = ['Food', 'Craft', 'Viewpoint', 'Shopping', 'Experience'];
-      const normalizedCategory = category.charAt(0).toUpperCase() + category.slice(1).toLowerCase();
-      
-      if (!validCategories.includes(normalizedCategory)) {
-        return res.status(400).json({
-          success: false,
-          error: {
-            code: 'INVALID_CATEGORY',
-            message: `Invalid category. Must be one of: ${validCategories.join(', ')}`,
-            details: { providedCategory: category, validCategories }
-          },
-          timestamp: new Date().toISOString()
-        });
+    const { category, lat, lng, radius, page = 1, limit } = value;
+    const isNearSearch = lat !== undefined;
+    const sortOption = SORT_OPTIONS[value.sort || (isNearSearch ? 'distance' : 'newest')];
+    
+    // A cursor only makes sense for the sort it was issued with, and its
+    // value must have the sort field's type before it goes into the query
+    const cursor = value.cursor !== undefined ? decodeCursor(value.cursor) : undefined;
+    if (cursor === null || (cursor && !isCursorForSort(cursor, sortOption))) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'INVALID_CURSOR',
+          message: 'Invalid pagination cursor',
+          details: [{
+            field: 'cursor',
+            message: cursor === null ? 'Invalid pagination cursor' : 'Cursor does not match the requested sort'
+          }]
+        },
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    const at = new Date();
+    const query = applyOpenNowFilter(buildGemListFilter(value), value.openNow, at);
+    const locale = negotiateLocale(req, res, value.lang);
+    
+    // Answer 304 before loading the page if the client's copy is current;
+    // otherwise the summary's count is the total
+    const summary = await validateGemList(
+      req,
+      res,
+      isNearSearch ? { ...query, $and: [withinRadiusFilter(lat, lng, radius)] } : query,
+      { params: value, locale, at }
+    );
+    if (!summary) return;
+    
+    const total = summary.count;
+    let gems;
+    
+    if (isNearSearch) {
+      // Geospatial "near me" search with distance in meters
+      const aggregation = Gem.findNearWithDistance(lat, lng, radius, query);
+      if (sortOption.field !== 'distance') {
+        aggregation.sort({ [sortOption.field]: sortOption.order, _id: sortOption.order });
       }
       
-      query.category = normalizedCategory;
+      // Fetch one extra gem to know whether another page exists
+      const results = await aggregation.skip((page - 1) * limit).limit(limit + 1).option({ maxTimeMS: 25000 });
+      
+      gems = results.map(doc => ({
+        ...Gem.hydrate(doc).toJSON(),
+        distance: Math.round(doc.distance)
+      }));
+    } else {
+      const listQuery = cursor
+        ? { ...query, $and: [afterCursor(cursor, sortOption.order)] }
+        : query;
+      
+      // Fetch one extra gem to know whether another page exists
+      gems = await Gem.find(listQuery)
+        .sort({ [sortOption.field]: sortOption.order, _id: sortOption.order })
+        .skip(cursor ? 0 : (page - 1) * limit)
+        .limit(limit + 1)
+        .maxTimeMS(25000);
     }
     
-    // Fetch gems from database with timeout handling
-    const gems = await Gem.find(query).sort({ createdAt: -1 }).maxTimeMS(25000);
+    const hasMore = gems.length > limit;
+    if (hasMore) gems.pop();
+    
+    const pagination = {
+      ...(!cursor && { page }),
+      limit,
+      total,
+      pages: Math.ceil(total / limit),
+      hasMore,
+      nextCursor: hasMore && !isNearSearch ? encodeCursor(gems[gems.length - 1], sortOption.field) : null
+    };
+    
+    const categoryLabel = category && category.length > 0 ? ` in ${category.join(', ')} category` : '';
+    const nearLabel = isNearSearch ? ` within ${radius}m` : '';
     
-    // Return successful response
     res.status(200).json({
       success: true,
-      data: gems,
-      total: gems.length,
-      message: category ? `Found ${gems.length} gems in ${category} category` : `Found ${gems.length} gems`,
+      data: gems.map(gem => localizeGem(gem, locale)),
+      locale,
+      direction: getTextDirection(locale),
+      total,
+      pagination,
+      ...(isNearSearch && { near: { latitude: lat, longitude: lng, radius } }),
+      message: `Found ${gems.length} gems${categoryLabel}${nearLabel}`,
       timestamp: new Date().toISOString()
     });
     
@@ -64,33 +663,2450 @@ const getAllGems = async (req, res) => {
 };
 
 /**
- * Get a specific gem by ID
- * GET /api/gems/:id
+ * Validation schema for gem search query parameters
  */
-const getGemById = async (req, res) => {
+const searchQuerySchema = Joi.object({
+  q: Joi.string().trim().required().min(2).max(100).messages({
+    'string.empty': 'Search query is required',
+    'string.min': 'Search query must be at least 2 characters long',
+    'string.max': 'Search query cannot exceed 100 characters',
+    'any.required': 'Search query is required'
+  }),
+  category: Joi.string().optional(),
+  limit: Joi.number().integer().min(1).max(MAX_PAGE_SIZE).default(DEFAULT_PAGE_SIZE).messages({
+    'number.base': 'Limit must be a number',
+    'number.min': `Limit must be between 1 and ${MAX_PAGE_SIZE}`,
+    'number.max': `Limit must be between 1 and ${MAX_PAGE_SIZE}`
+  }),
+  lang: Joi.string().lowercase().valid(...SUPPORTED_LOCALES).messages({
+    'any.only': `lang must be one of: ${SUPPORTED_LOCALES.join(', ')}`
+  })
+});
+
+/**
+ * Parse a sync point: a sync token from a previous response or an ISO 8601 timestamp
+ * A timestamp becomes a position before every gem updated at that time
+ */
+const parseSyncPoint = (value, helpers) => {
+  const cursor = decodeCursor(value);
+  if (cursor) {
+    return cursor.field === 'updatedAt' && cursor.value instanceof Date ? cursor : helpers.error('any.invalid');
+  }
+  
+  const since = new Date(value);
+  if (!/^\d{4}-\d{2}-\d{2}/.test(value) || isNaN(since.getTime())) {
+    return helpers.error('any.invalid');
+  }
+  return decodeCursor(encodeCursor({ updatedAt: since, _id: '000000000000000000000000' }, 'updatedAt'));
+};
+
+/**
+ * Validation schema for change feed query parameters
+ */
+const changesQuerySchema = Joi.object({
+  since: Joi.string().custom(parseSyncPoint).messages({
+    'any.invalid': 'since must be a sync token or an ISO 8601 timestamp'
+  }),
+  limit: Joi.number().integer().min(1).max(MAX_SYNC_LIMIT).default(DEFAULT_SYNC_LIMIT).messages({
+    'number.base': 'Limit must be a number',
+    'number.min': 'Limit must be at least 1',
+    'number.max': `Limit cannot exceed ${MAX_SYNC_LIMIT}`
+  }),
+  lang: Joi.string().lowercase().valid(...SUPPORTED_LOCALES).messages({
+    'any.only': `lang must be one of: ${SUPPORTED_LOCALES.join(', ')}`
+  })
+});
+
+/**
+ * Tombstone telling offline caches to drop a gem that is inactive, in trash or merged
+ */
+const toTombstone = (gem) => ({
+  id: gem._id,
+  reason: gem.mergedInto ? 'merged' : gem.deletedAt ? 'deleted' : 'deactivated',
+  ...(gem.mergedInto && { mergedInto: gem.mergedInto }),
+  updatedAt: gem.updatedAt
+});
+
+/**
+ * Get gems changed since a sync point, for offline caches in the mobile app
+ * GET /api/gems/changes?since=<token|timestamp>&limit=100
+ * Gems are returned oldest change first: active gems in `changed`, and
+ * inactive, trashed or merged ones as `tombstones`. Pass the returned
+ * syncToken as `since` next time; while hasMore is true, call again at once.
+ * Without `since` every gem is returned (a full download)
+ */
+const getGemChanges = async (req, res) => {
   try {
     // Ensure database connection is established (critical for serverless)
     await database.ensureConnection();
     
-    const { id } = req.params;
-    
-    // Validate ObjectId format
-    if (!id.match(/^[0-9a-fA-F]{24}$/)) {
+    const { error, value } = changesQuerySchema.validate(req.query);
+    if (error) {
       return res.status(400).json({
         success: false,
         error: {
-          code: 'INVALID_ID_FORMAT',
-          message: 'Invalid gem ID format',
-          details: { providedId: id }
+          code: 'VALIDATION_ERROR',
+          message: 'Invalid query parameters',
+          details: error.details.map(detail => ({
+            field: detail.path.join('.'),
+            message: detail.message
+          }))
         },
         timestamp: new Date().toISOString()
       });
     }
     
-    // Find gem by ID (explicitly include inactive ones to check status)
-    const gem = await Gem.findOne({ _id: id, isActive: { $in: [true, false] } }).maxTimeMS(25000);
+    const { since, limit } = value;
     
-    // Check if gem exists
+    // Gems purged from trash leave no tombstone, so older sync points could miss deletions
+    const oldestSyncPoint = new Date(Date.now() - TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+    if (since && since.value < oldestSyncPoint) {
+      return res.status(410).json({
+        success: false,
+        error: {
+          code: 'SYNC_EXPIRED',
+          message: `Changes are only available for the last ${TRASH_RETENTION_DAYS} days; download all gems again by omitting since`,
+          details: { oldestSyncPoint: oldestSyncPoint.toISOString() }
+        },
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    // Naming isActive and deletedAt switches off the model's filters, so
+    // deactivated, trashed and merged gems come back as tombstones
+    const settledAt = new Date(Date.now() - SYNC_SETTLE_MS);
+    const query = {
+      isActive: { $in: [true, false] },
+      deletedAt: { $ne: false },
+      updatedAt: { $lt: settledAt }
+    };
+    if (since) {
+      query.$and = [afterCursor(since, 1)];
+    }
+    
+    // Fetch one extra gem to know whether another page exists
+    const gems = await Gem.find(query)
+      .sort({ updatedAt: 1, _id: 1 })
+      .limit(limit + 1)
+      .maxTimeMS(25000);
+    
+    const hasMore = gems.length > limit;
+    if (hasMore) gems.pop();
+    
+    // Once caught up, the next sync starts where this one could see up to
+    const syncToken = hasMore
+      ? encodeCursor(gems[gems.length - 1], 'updatedAt')
+      : encodeCursor({ updatedAt: settledAt, _id: '000000000000000000000000' }, 'updatedAt');
+    
+    const locale = negotiateLocale(req, res, value.lang);
+    const changed = gems.filter(gem => gem.isActive && !gem.deletedAt);
+    const tombstones = gems.filter(gem => !gem.isActive || gem.deletedAt).map(toTombstone);
+    
+    res.status(200).json({
+      success: true,
+      data: {
+        changed: changed.map(gem => localizeGem(gem, locale)),
+        tombstones,
+        syncToken,
+        hasMore
+      },
+      locale,
+      direction: getTextDirection(locale),
+      message: `Found ${changed.length} changed and ${tombstones.length} removed gems`,
+      timestamp: new Date().toISOString()
+    });
+    
+  } catch (error) {
+    console.error('Error fetching gem changes:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'DATABASE_ERROR',
+        message: 'Failed to fetch gem changes',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+};
+
+/**
+ * Search gems by name and description
+ * Uses the text index for relevance ranking, falling back to fuzzy
+ * prefix matching on names and addresses for short or misspelled queries
+ * GET /api/gems/search?q=nishat&category=Viewpoint
+ */
+const searchGems = async (req, res) => {
+  try {
+    // Ensure database connection is established (critical for serverless)
+    await database.ensureConnection();
+    
+    // Validate query parameters
+    const { error, value } = searchQuerySchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Invalid search parameters',
+          details: error.details.map(detail => ({
+            field: detail.path.join('.'),
+            message: detail.message
+          }))
+        },
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    const { q, category, limit } = value;
+    
+    // Build query object
+    let query = { isActive: true };
+    
+    // Add category filter if provided
+    if (category) {
+      const normalizedCategory = await categoryService.resolve(category);
+      
+      if (!normalizedCategory) {
+        const validCategories = await categoryService.getNames();
+        return res.status(400).json({
+          success: false,
+          error: {
+            code: 'INVALID_CATEGORY',
+            message: `Invalid category. Must be one of: ${validCategories.join(', ')}`,
+            details: { providedCategory: category, validCategories }
+          },
+          timestamp: new Date().toISOString()
+        });
+      }
+      
+      query.category = normalizedCategory;
+    }
+    
+    let gems = [];
+    let searchMode = 'text';
+    
+    // Relevance-ranked full-text search on name and description
+    if (q.length >= MIN_TEXT_SEARCH_LENGTH) {
+      const results = await Gem.find(
+        { ...query, $text: { $search: q } },
+        { score: { $meta: 'textScore' } }
+      )
+        .sort({ score: { $meta: 'textScore' } })
+        .limit(limit)
+        .lean()
+        .maxTimeMS(25000);
+      
+      gems = results.map(({ score, ...doc }) => ({
+        ...Gem.hydrate(doc).toJSON(),
+        textScore: score
+      }));
+    }
+    
+    // Fall back to fuzzy prefix matching on names and addresses
+    if (gems.length === 0) {
+      searchMode = 'fuzzy';
+      const termRegexes = buildFuzzyRegexes(q);
+      
+      if (termRegexes.length > 0) {
+        const results = await Gem.find({
+          ...query,
+          $and: termRegexes.map(regex => ({
+            $or: [{ name: regex }, { 'location.address': regex }]
+          }))
+        })
+          .sort({ name: 1 })
+          .limit(limit)
+          .maxTimeMS(25000);
+        
+        gems = results.map(gem => ({ ...gem.toJSON(), textScore: null }));
+      }
+    }
+    
+    const locale = negotiateLocale(req, res, value.lang);
+    
+    res.status(200).json({
+      success: true,
+      data: gems.map(gem => localizeGem(gem, locale)),
+      locale,
+      direction: getTextDirection(locale),
+      total: gems.length,
+      query: q,
+      searchMode,
+      message: `Found ${gems.length} gems matching '${q}'`,
+      timestamp: new Date().toISOString()
+    });
+    
+  } catch (error) {
+    console.error('Error searching gems:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'DATABASE_ERROR',
+        message: 'Failed to search gems',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+};
+
+/**
+ * Send a 412 response with the current server copy of a gem
+ */
+const sendVersionConflict = (res, gem) => {
+  res.set('ETag', gem.getETag());
+  return res.status(412).json({
+    success: false,
+    error: {
+      code: 'GEM_VERSION_CONFLICT',
+      message: 'Gem has been modified since it was retrieved',
+      details: {
+        currentVersion: gem.__v,
+        etag: gem.getETag(),
+        current: gem
+      }
+    },
+    timestamp: new Date().toISOString()
+  });
+};
+
+/**
+ * Enforce If-Match optimistic concurrency on gem writes
+ * Responds with 428 when the header is missing or 412 when it is stale,
+ * returning false so the caller stops processing
+ */
+const checkGemPrecondition = (req, res, gem) => {
+  const ifMatch = req.headers['if-match'];
+
+  if (!ifMatch) {
+    res.status(428).json({
+      success: false,
+      error: {
+        code: 'PRECONDITION_REQUIRED',
+        message: 'If-Match header with the gem ETag is required',
+        details: { etag: gem.getETag() }
+      },
+      timestamp: new Date().toISOString()
+    });
+    return false;
+  }
+
+  if (!gem.matchesETag(ifMatch)) {
+    sendVersionConflict(res, gem);
+    return false;
+  }
+
+  return true;
+};
+
+/**
+ * Record a revision for a gem change made by the current admin
+ * The gem change is already saved, so a failure here is logged rather than returned
+ */
+const recordRevision = async (req, gem, action, options = {}) => {
+  try {
+    await GemRevision.record(gem, action, {
+      ...options,
+      changedBy: req.user?.username || 'admin'
+    });
+  } catch (error) {
+    console.error('Error recording gem revision:', error);
+  }
+};
+
+/**
+ * Revision action for an edit: activate or deactivate when it toggled isActive
+ * (like the status endpoint and bulk operations), update otherwise
+ */
+const editAction = (before, gem) => {
+  if (before.isActive === gem.isActive) return 'update';
+  return gem.isActive ? 'activate' : 'deactivate';
+};
+
+/**
+ * Get a specific gem by ID
+ * GET /api/gems/:id
+ */
+const getGemById = async (req, res) => {
+  try {
+    // Ensure database connection is established (critical for serverless)
+    await database.ensureConnection();
+    
+    const { id } = req.params;
+    
+    // Validate ObjectId format
+    if (!id.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'INVALID_ID_FORMAT',
+          message: 'Invalid gem ID format',
+          details: { providedId: id }
+        },
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    // Validate the optional locale
+    const { lang } = req.query;
+    if (lang !== undefined && !SUPPORTED_LOCALES.includes(String(lang).toLowerCase())) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Invalid query parameters',
+          details: [{ field: 'lang', message: `lang must be one of: ${SUPPORTED_LOCALES.join(', ')}` }]
+        },
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    // Find gem by ID (explicitly include inactive ones to check status)
+    const gem = await Gem.findOne({ _id: id, isActive: { $in: [true, false] } }).maxTimeMS(25000);
+    
+    // Point clients at the surviving gem when this one was merged away; the
+    // redirect is revalidated because the surviving gem may be merged again later
+    if (!gem) {
+      const tombstone = await Gem.findDeleted({ _id: id, mergedInto: { $ne: null } }).findOne();
+      if (tombstone) {
+        const mergedInto = tombstone.mergedInto.toString();
+        res.set('Location', req.originalUrl.replace(id, mergedInto));
+        res.set('Cache-Control', 'no-cache');
+        return res.status(308).json({
+          success: false,
+          error: {
+            code: 'GEM_MERGED',
+            message: 'Gem has been merged into another gem',
+            details: { requestedId: id, mergedInto }
+          },
+          timestamp: new Date().toISOString()
+        });
+      }
+    }
+    
+    // Check if gem exists
+    if (!gem) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'GEM_NOT_FOUND',
+          message: 'Gem not found',
+          details: { requestedId: id }
+        },
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    // Check if gem is active (admins can still view inactive gems)
+    if (!gem.isActive && !isAdmin(req)) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'GEM_NOT_AVAILABLE',
+          message: 'Gem is not currently available',
+          details: { requestedId: id }
+        },
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    const locale = negotiateLocale(req, res, lang);
+    
+    // The ETag also works for conditional writes; 304 if the client's copy is current
+    // Opening hours make isOpenNow depend on the clock, which updatedAt can't show
+    setCacheHeaders(req, res, {
+      etag: gem.getResponseETag(locale),
+      lastModified: hasOpeningHours(gem.openingHours) ? null : gem.updatedAt
+    });
+    res.status(200).json({
+      success: true,
+      data: localizeGem(gem, locale),
+      locale,
+      direction: getTextDirection(locale),
+      message: `Gem '${gem.name}' retrieved successfully`,
+      timestamp: new Date().toISOString()
+    });
+    
+  } catch (error) {
+    console.error('Error fetching gem by ID:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'DATABASE_ERROR',
+        message: 'Failed to fetch gem from database',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+};
+
+/**
+ * Validation schema for related gem query parameters
+ */
+const relatedQuerySchema = Joi.object({
+  radius: Joi.number().positive().max(MAX_RELATED_RADIUS).default(Gem.RELATED_RADIUS_METERS).messages({
+    'number.base': `Radius must be a number of meters between 1 and ${MAX_RELATED_RADIUS}`,
+    'number.positive': `Radius must be a number of meters between 1 and ${MAX_RELATED_RADIUS}`,
+    'number.max': `Radius must be a number of meters between 1 and ${MAX_RELATED_RADIUS}`
+  }),
+  limit: Joi.number().integer().min(1).max(MAX_RELATED_LIMIT).default(DEFAULT_RELATED_LIMIT).messages({
+    'number.base': `Limit must be between 1 and ${MAX_RELATED_LIMIT}`,
+    'number.integer': `Limit must be between 1 and ${MAX_RELATED_LIMIT}`,
+    'number.min': `Limit must be between 1 and ${MAX_RELATED_LIMIT}`,
+    'number.max': `Limit must be between 1 and ${MAX_RELATED_LIMIT}`
+  }),
+  lang: Joi.string().lowercase().valid(...SUPPORTED_LOCALES).messages({
+    'any.only': `lang must be one of: ${SUPPORTED_LOCALES.join(', ')}`
+  })
+});
+
+/**
+ * Get gems within walking distance of a gem, same category first
+ * GET /api/gems/:id/related
+ */
+const getRelatedGems = async (req, res) => {
+  try {
+    // Ensure database connection is established (critical for serverless)
+    await database.ensureConnection();
+    
+    const { id } = req.params;
+    
+    // Validate ObjectId format
+    if (!id.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'INVALID_ID_FORMAT',
+          message: 'Invalid gem ID format',
+          details: { providedId: id }
+        },
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    // Validate query parameters
+    const { error, value } = relatedQuerySchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Invalid query parameters',
+          details: error.details.map(detail => ({
+            field: detail.path.join('.'),
+            message: detail.message
+          }))
+        },
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    // Find gem by ID (explicitly include inactive ones to check status)
+    const gem = await Gem.findOne({ _id: id, isActive: { $in: [true, false] } }).maxTimeMS(25000);
+    
+    if (!gem) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'GEM_NOT_FOUND',
+          message: 'Gem not found',
+          details: { requestedId: id }
+        },
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    if (!gem.isActive) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'GEM_NOT_AVAILABLE',
+          message: 'Gem is not currently available',
+          details: { requestedId: id }
+        },
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    const { radius, limit } = value;
+    const results = await Gem.findRelated(gem, radius, limit).option({ maxTimeMS: 25000 });
+    const locale = negotiateLocale(req, res, value.lang);
+    
+    const gems = results.map(doc => ({
+      ...localizeGem(Gem.hydrate(doc), locale),
+      distance: Math.round(doc.distance),
+      sameCategory: doc.sameCategory
+    }));
+    
+    res.status(200).json({
+      success: true,
+      data: gems,
+      locale,
+      direction: getTextDirection(locale),
+      total: gems.length,
+      near: { gemId: gem._id, latitude: gem.location.latitude, longitude: gem.location.longitude, radius },
+      message: `Found ${gems.length} gems within ${radius}m of '${gem.name}'`,
+      timestamp: new Date().toISOString()
+    });
+    
+  } catch (error) {
+    console.error('Error fetching related gems:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'DATABASE_ERROR',
+        message: 'Failed to fetch related gems from database',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+};
+
+/**
+ * Validation schema for a gem image
+ */
+const imageSchema = Joi.object({
+  url: Joi.string().uri().required().messages({
+    'string.uri': 'Image URL must be a valid URI',
+    'any.required': 'Image URL is required'
+  }),
+  thumbnail: Joi.string().uri().optional().messages({
+    'string.uri': 'Thumbnail URL must be a valid URI'
+  }),
+  alt: Joi.string().required().min(5).max(100).messages({
+    'string.empty': 'Image alt text is required',
+    'string.min': 'Image alt text must be at least 5 characters long',
+    'string.max': 'Image alt text cannot exceed 100 characters',
+    'any.required': 'Image alt text is required'
+  })
+});
+
+/**
+ * Validation schema for a gallery image; _id is accepted so fetched galleries can be sent back
+ */
+const galleryImageSchema = imageSchema.keys({
+  _id: Joi.string().hex().length(24).optional(),
+  isCover: Joi.boolean().optional()
+});
+
+/**
+ * Validation schema for an opening period ("HH:mm" local time)
+ */
+const timePeriodSchema = Joi.object({
+  open: Joi.string().pattern(OPEN_TIME_PATTERN).required().messages({
+    'string.pattern.base': 'Opening time must be in HH:mm format',
+    'any.required': 'Opening time is required'
+  }),
+  close: Joi.string().pattern(CLOSE_TIME_PATTERN).required().messages({
+    'string.pattern.base': 'Closing time must be in HH:mm format (24:00 allowed)',
+    'any.required': 'Closing time is required'
+  })
+});
+
+/**
+ * Validation schema for opening hours with holiday and seasonal exceptions
+ */
+const openingHoursSchema = Joi.object({
+  weekly: Joi.array().items(timePeriodSchema.keys({
+    day: Joi.string().lowercase().valid(...DAYS).required().messages({
+      'any.only': `Day must be one of: ${DAYS.join(', ')}`,
+      'any.required': 'Day is required'
+    })
+  })).max(50),
+  exceptions: Joi.array().items(Joi.object({
+    startDate: Joi.string().pattern(DATE_PATTERN).required().messages({
+      'string.pattern.base': 'Exception start date must be in YYYY-MM-DD format',
+      'any.required': 'Exception start date is required'
+    }),
+    // Yearly ranges may wrap around new year (e.g. 12-15 to 02-28)
+    endDate: Joi.string().pattern(DATE_PATTERN).when('repeatsYearly', {
+      is: true,
+      otherwise: Joi.custom((value, helpers) => {
+        return value < helpers.state.ancestors[0].startDate ? helpers.error('any.invalid') : value;
+      })
+    }).optional().messages({
+      'string.pattern.base': 'Exception end date must be in YYYY-MM-DD format',
+      'any.invalid': 'Exception end date must not be before its start date'
+    }),
+    repeatsYearly: Joi.boolean().optional(),
+    periods: Joi.array().items(timePeriodSchema).max(10),
+    note: Joi.string().max(200).optional()
+  })).max(100)
+});
+
+/**
+ * Validation schema for creating/updating gems
+ * `image` may be omitted when `images` is given; it is then taken from the cover
+ */
+const gemSchema = Joi.object({
+  name: Joi.string().required().min(2).max(100).messages({
+    'string.empty': 'Gem name is required',
+    'string.min': 'Gem name must be at least 2 characters long',
+    'string.max': 'Gem name cannot exceed 100 characters',
+    'any.required': 'Gem name is required'
+  }),
+  description: Joi.string().required().min(10).max(1000).messages({
+    'string.empty': 'Description is required',
+    'string.min': 'Description must be at least 10 characters long',
+    'string.max': 'Description cannot exceed 1000 characters',
+    'any.required': 'Description is required'
+  }),
+  category: Joi.string().valid(Joi.in('$categories')).required().messages({
+    'any.only': 'Category must be one of: {{$categoryList}}',
+    'any.required': 'Category is required'
+  }),
+  subcategory: Joi.string().trim().max(50).optional().messages({
+    'string.max': 'Subcategory cannot exceed 50 characters'
+  }),
+  location: Joi.object({
+    latitude: Joi.number().min(-90).max(90).required().messages({
+      'number.min': 'Latitude must be between -90 and 90',
+      'number.max': 'Latitude must be between -90 and 90',
+      'any.required': 'Latitude is required'
+    }),
+    longitude: Joi.number().min(-180).max(180).required().messages({
+      'number.min': 'Longitude must be between -180 and 180',
+      'number.max': 'Longitude must be between -180 and 180',
+      'any.required': 'Longitude is required'
+    }),
+    address: Joi.string().required().min(5).max(200).messages({
+      'string.empty': 'Address is required',
+      'string.min': 'Address must be at least 5 characters long',
+      'string.max': 'Address cannot exceed 200 characters',
+      'any.required': 'Address is required'
+    })
+  }).required(),
+  image: imageSchema.when('images', {
+    is: Joi.array().min(1).required(),
+    then: Joi.optional(),
+    otherwise: Joi.required()
+  }),
+  images: Joi.array().items(galleryImageSchema).max(MAX_GALLERY_IMAGES).optional().messages({
+    'array.max': `A gem cannot have more than ${MAX_GALLERY_IMAGES} images`
+  }),
+  contact: Joi.object({
+    phone: Joi.string().optional().pattern(/^\+?[\d\s\-\(\)]+$/).messages({
+      'string.pattern.base': 'Phone number format is invalid'
+    }),
+    whatsapp: Joi.string().optional().pattern(/^\+?[\d\s\-\(\)]+$/).messages({
+      'string.pattern.base': 'WhatsApp number format is invalid'
+    })
+  }).optional(),
+  openingHours: openingHoursSchema.optional(),
+  priceLevel: Joi.number().integer().min(MIN_PRICE_LEVEL).max(MAX_PRICE_LEVEL).optional().messages({
+    'number.base': `Price level must be a whole number from ${MIN_PRICE_LEVEL} to ${MAX_PRICE_LEVEL}`,
+    'number.integer': `Price level must be a whole number from ${MIN_PRICE_LEVEL} to ${MAX_PRICE_LEVEL}`,
+    'number.min': `Price level must be a whole number from ${MIN_PRICE_LEVEL} to ${MAX_PRICE_LEVEL}`,
+    'number.max': `Price level must be a whole number from ${MIN_PRICE_LEVEL} to ${MAX_PRICE_LEVEL}`
+  }),
+  amenities: Joi.array().items(Joi.string().valid(...AMENITIES).messages({
+    'any.only': `Amenity must be one of: ${AMENITIES.join(', ')}`
+  })).optional(),
+  tags: Joi.array().items(Joi.string().trim().min(1).max(MAX_TAG_LENGTH).messages({
+    'string.empty': 'Tags cannot be empty',
+    'string.max': `Tags cannot exceed ${MAX_TAG_LENGTH} characters`
+  })).max(MAX_TAGS).optional().messages({
+    'array.max': `A gem cannot have more than ${MAX_TAGS} tags`
+  }),
+  isActive: Joi.boolean().optional().default(true)
+});
+
+/**
+ * Validation schema for partial gem updates
+ * Every field is optional (including nested location/image/contact fields)
+ * and optional nested values can be cleared with null
+ */
+const gemPatchSchema = gemSchema
+  .fork(['image'], () => imageSchema.optional())
+  .fork([
+    'name', 'description', 'category', 'location', 'image',
+    'location.latitude', 'location.longitude', 'location.address',
+    'image.url', 'image.alt'
+  ], (schema) => schema.optional())
+  .fork(['subcategory', 'image.thumbnail', 'contact.phone', 'contact.whatsapp', 'openingHours', 'priceLevel'], (schema) => schema.allow(null))
+  .fork(['isActive'], () => Joi.boolean().optional())
+  .min(1)
+  .messages({
+    'object.min': 'At least one field must be provided'
+  });
+
+/**
+ * Validation schema for the force flag that skips duplicate detection
+ */
+const forceFlagSchema = Joi.boolean().default(false).messages({
+  'boolean.base': 'force must be true or false'
+});
+
+/**
+ * Send a 409 response listing existing gems that look like the new one
+ */
+const sendPossibleDuplicates = (res, duplicates) => {
+  return res.status(409).json({
+    success: false,
+    error: {
+      code: 'POSSIBLE_DUPLICATE',
+      message: `Found ${duplicates.length} similar gem(s) within ${Gem.DUPLICATE_RADIUS_METERS}m; retry with force=true to create it anyway`,
+      details: { duplicates }
+    },
+    timestamp: new Date().toISOString()
+  });
+};
+
+/**
+ * Create a new gem (Admin only)
+ * Refused with 409 POSSIBLE_DUPLICATE when a gem with a similar name exists
+ * nearby, unless ?force=true is given
+ * POST /api/gems
+ */
+const createGem = async (req, res) => {
+  try {
+    // Ensure database connection is established (critical for serverless)
+    await database.ensureConnection();
+    
+    // Validate request body
+    const { error, value } = gemSchema.validate(req.body, {
+      context: await categoryService.getValidationContext()
+    });
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Invalid input data',
+          details: error.details.map(detail => ({
+            field: detail.path.join('.'),
+            message: detail.message
+          }))
+        },
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const { error: forceError, value: force } = forceFlagSchema.validate(req.query.force);
+    if (forceError) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Invalid query parameters',
+          details: [{ field: 'force', message: forceError.message }]
+        },
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    // Look for likely duplicates near the same coordinates
+    const possibleDuplicates = await Gem.findPossibleDuplicates(value);
+    if (possibleDuplicates.length > 0 && !force) {
+      return sendPossibleDuplicates(res, possibleDuplicates);
+    }
+
+    // Create new gem
+    const gem = new Gem(value);
+    await gem.save();
+    await recordRevision(req, gem, 'create');
+
+    res.set('ETag', gem.getETag());
+    res.status(201).json({
+      success: true,
+      data: gem,
+      ...(possibleDuplicates.length > 0 && { possibleDuplicates }),
+      message: `Gem '${gem.name}' created successfully`,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Error creating gem:', error);
+
+    // Handle model validation errors (e.g. a subcategory outside the category)
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Invalid input data',
+          details: Object.values(error.errors).map(err => ({
+            field: err.path,
+            message: err.message
+          }))
+        },
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    // Handle duplicate key error
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        error: {
+          code: 'DUPLICATE_GEM',
+          message: 'A gem with similar details already exists',
+          details: process.env.NODE_ENV === 'development' ? error.keyValue : undefined
+        },
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'DATABASE_ERROR',
+        message: 'Failed to create gem',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+};
+
+// Largest number of rows accepted by one bulk import
+const MAX_IMPORT_ROWS = 500;
+
+// Fields of a gem export that the server manages; importing an exported file
+// ignores them, so gems are matched by import key only
+const SERVER_MANAGED_IMPORT_FIELDS = [
+  '_id', 'id', 'version', '__v', 'createdAt', 'updatedAt', 'deletedAt', 'deletedBy',
+  'mergedInto', 'mergedAt', 'geo', 'geoLocation', 'isOpenNow', 'nextOpenAt', 'nextCloseAt'
+];
+
+/**
+ * Drop server-managed fields from an import row
+ */
+const stripServerManagedFields = (input) => {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) return input;
+  return Object.fromEntries(Object.entries(input).filter(([key]) => !SERVER_MANAGED_IMPORT_FIELDS.includes(key)));
+};
+
+/**
+ * Validation schema for a bulk import row
+ * Like a new gem, plus an optional import key; isActive has no default so
+ * re-importing a row does not reactivate a gem an admin deactivated
+ */
+const importRowSchema = gemSchema.keys({
+  importKey: Joi.string().trim().max(200).optional().messages({
+    'string.max': 'Import key cannot exceed 200 characters'
+  }),
+  isActive: Joi.boolean().optional()
+});
+
+/**
+ * Validation schema for bulk import query parameters
+ */
+const importQuerySchema = Joi.object({
+  dryRun: Joi.boolean().default(false).messages({
+    'boolean.base': 'dryRun must be true or false'
+  }),
+  force: forceFlagSchema
+});
+
+/**
+ * Import key for rows without one: the gem name and its coordinates to about 10m
+ * e.g. "chai-point-lal-chowk@34.0837,74.7973"
+ */
+const deriveImportKey = ({ name, location }) => {
+  const slug = name
+    .normalize('NFKD')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+  return `${slug}@${location.latitude.toFixed(4)},${location.longitude.toFixed(4)}`;
+};
+
+/**
+ * Read bulk import rows from a CSV (text/csv) or JSON body
+ * CSV headers are gem field paths such as location.latitude; amenities and
+ * tags cells are split on semicolons, like the export joins them, and the
+ * export's apostrophe before formula-like text is removed; server-managed
+ * fields are dropped
+ * Returns [{ row, input }], or null if the body is neither
+ */
+const readImportRows = (req) => {
+  if (req.is('text/csv')) {
+    return parseCsvObjects(req.body).map(({ row, data }) => {
+      const input = expandDotPaths(Object.fromEntries(
+        Object.entries(data).map(([path, text]) => [path, fromCsvValue(text)])
+      ));
+      ['amenities', 'tags'].forEach(field => {
+        if (input[field]) input[field] = input[field].split(';').map(item => item.trim()).filter(Boolean);
+      });
+      return { row, input: stripServerManagedFields(input) };
+    });
+  }
+
+  const items = Array.isArray(req.body) ? req.body : req.body && req.body.gems;
+  return Array.isArray(items)
+    ? items.map((input, index) => ({ row: index + 1, input: stripServerManagedFields(input) }))
+    : null;
+};
+
+/**
+ * Validate one import row and work out what importing it would do
+ * Returns { row, importKey, action, gem, before } for a valid row, where action
+ * is create, update or unchanged, or { row, action: 'invalid', errors } otherwise
+ */
+const planImportRow = async ({ row, input }, { context, force, seenKeys }) => {
+  const invalid = (errors, extra = {}) => ({ row, action: 'invalid', errors, ...extra });
+
+  const { error, value } = importRowSchema.validate(input, { context, abortEarly: false });
+  if (error) {
+    return invalid(error.details.map(detail => ({ field: detail.path.join('.'), message: detail.message })));
+  }
+
+  const { importKey = deriveImportKey(value), ...fields } = value;
+
+  if (seenKeys.has(importKey)) {
+    return invalid([{ field: 'importKey', message: `Same import key as row ${seenKeys.get(importKey)}` }], { importKey });
+  }
+  seenKeys.set(importKey, row);
+
+  const existing = await Gem.findOne({ importKey, isActive: { $in: [true, false] } });
+  if (!existing && await Gem.findDeleted({ importKey }).findOne()) {
+    return invalid([{ field: 'importKey', message: 'The gem with this import key is in trash or was merged; restore it or use another key' }], { importKey });
+  }
+
+  const before = existing ? GemRevision.snapshot(existing) : undefined;
+  const gem = existing ? existing.set(fields) : new Gem({ ...fields, importKey });
+
+  // Model rules such as subcategories belonging to the category
+  try {
+    await gem.validate();
+  } catch (validationError) {
+    if (validationError.name !== 'ValidationError') throw validationError;
+    return invalid(Object.values(validationError.errors).map(err => ({ field: err.path, message: err.message })), { importKey });
+  }
+
+  if (existing) {
+    const changed = diffPaths(before, GemRevision.snapshot(gem)).length > 0;
+    return { row, importKey, action: changed ? 'update' : 'unchanged', gem, before };
+  }
+
+  const possibleDuplicates = await Gem.findPossibleDuplicates(fields);
+  if (possibleDuplicates.length > 0 && !force) {
+    return invalid([{
+      field: 'name',
+      message: `Found ${possibleDuplicates.length} similar gem(s) within ${Gem.DUPLICATE_RADIUS_METERS}m; import with force=true to create it anyway`
+    }], { importKey, possibleDuplicates });
+  }
+
+  return { row, importKey, action: 'create', gem };
+};
+
+/**
+ * Bulk import gems from CSV or a JSON array (Admin only)
+ * Every row is validated like POST /api/gems; valid rows are created, or
+ * updated when a gem with the same import key exists, in one transaction
+ * POST /api/gems/import?dryRun=true
+ */
+const importGems = async (req, res) => {
+  try {
+    // Ensure database connection is established (critical for serverless)
+    await database.ensureConnection();
+
+    const { error: queryError, value: options } = importQuerySchema.validate(req.query);
+    if (queryError) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Invalid query parameters',
+          details: queryError.details.map(detail => ({
+            field: detail.path.join('.'),
+            message: detail.message
+          }))
+        },
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    let rows;
+    try {
+      rows = readImportRows(req);
+    } catch (parseError) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'INVALID_CSV',
+          message: 'CSV could not be parsed',
+          details: { reason: parseError.message }
+        },
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    if (!rows || rows.length === 0 || rows.length > MAX_IMPORT_ROWS) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'INVALID_IMPORT',
+          message: `Send 1 to ${MAX_IMPORT_ROWS} gems as a JSON array or as CSV with Content-Type: text/csv`,
+          details: { rows: rows ? rows.length : 0 }
+        },
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const context = await categoryService.getValidationContext();
+    const seenKeys = new Map();
+    const plans = [];
+    for (const row of rows) {
+      plans.push(await planImportRow(row, { context, force: options.force, seenKeys }));
+    }
+
+    const changes = plans.filter(plan => plan.action === 'create' || plan.action === 'update');
+
+    // All valid rows are written together or not at all
+    if (!options.dryRun && changes.length > 0) {
+      await Gem.db.transaction(async (session) => {
+        for (const plan of changes) {
+          await plan.gem.save({ session });
+        }
+      });
+
+      for (const plan of changes) {
+        const action = plan.action === 'update' ? editAction(plan.before, plan.gem) : plan.action;
+        await recordRevision(req, plan.gem, action, { before: plan.before });
+      }
+    }
+
+    const count = (action) => plans.filter(plan => plan.action === action).length;
+    const summary = {
+      dryRun: options.dryRun,
+      total: plans.length,
+      created: count('create'),
+      updated: count('update'),
+      unchanged: count('unchanged'),
+      invalid: count('invalid')
+    };
+
+    res.status(200).json({
+      success: true,
+      data: {
+        ...summary,
+        rows: plans.map(({ row, importKey, action, gem, errors, possibleDuplicates }) => ({
+          row,
+          importKey,
+          action,
+          ...(gem && { gemId: gem._id, name: gem.name }),
+          ...(errors && { errors }),
+          ...(possibleDuplicates && { possibleDuplicates })
+        }))
+      },
+      message: options.dryRun
+        ? `Dry run: ${summary.total - summary.invalid} of ${summary.total} rows are valid`
+        : `Imported ${summary.created} new and ${summary.updated} updated gems; ${summary.invalid} invalid rows skipped`,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Error importing gems:', error);
+
+    // Another import or admin changed the same gems meanwhile
+    if (error.code === 11000 || error.name === 'VersionError') {
+      return res.status(409).json({
+        success: false,
+        error: {
+          code: 'IMPORT_CONFLICT',
+          message: 'Gems were changed by another import meanwhile; nothing was imported, please retry',
+          details: process.env.NODE_ENV === 'development' ? error.keyValue : undefined
+        },
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'DATABASE_ERROR',
+        message: 'Failed to import gems',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+};
+
+// Largest number of gems changed by one bulk operation
+const MAX_BULK_GEMS = 100;
+
+const BULK_OPERATIONS = ['activate', 'deactivate', 'delete', 'setCategory', 'addTag'];
+
+/**
+ * Validation schema for bulk operations
+ * category (and optionally subcategory) go with setCategory, tag with addTag
+ */
+const bulkSchema = Joi.object({
+  ids: Joi.array().items(Joi.string().pattern(/^[0-9a-fA-F]{24}$/).messages({
+    'string.pattern.base': 'Gem ID must be a 24 character hex string'
+  })).min(1).max(MAX_BULK_GEMS).unique().required().messages({
+    'array.min': 'At least one gem ID is required',
+    'array.max': `A bulk operation cannot change more than ${MAX_BULK_GEMS} gems`,
+    'array.unique': 'Gem IDs must not repeat',
+    'any.required': 'Gem IDs are required'
+  }),
+  operation: Joi.string().valid(...BULK_OPERATIONS).required().messages({
+    'any.only': `Operation must be one of: ${BULK_OPERATIONS.join(', ')}`,
+    'any.required': 'Operation is required'
+  }),
+  category: Joi.string().valid(Joi.in('$categories')).when('operation', {
+    is: 'setCategory',
+    then: Joi.required(),
+    otherwise: Joi.forbidden()
+  }).messages({
+    'any.only': 'Category must be one of: {{$categoryList}}',
+    'any.required': 'Category is required for setCategory',
+    'any.unknown': 'Category is only allowed for setCategory'
+  }),
+  subcategory: Joi.string().trim().max(50).allow(null).when('operation', {
+    is: 'setCategory',
+    then: Joi.optional(),
+    otherwise: Joi.forbidden()
+  }).messages({
+    'string.max': 'Subcategory cannot exceed 50 characters',
+    'any.unknown': 'Subcategory is only allowed for setCategory'
+  }),
+  tag: Joi.string().trim().min(1).max(MAX_TAG_LENGTH).when('operation', {
+    is: 'addTag',
+    then: Joi.required(),
+    otherwise: Joi.forbidden()
+  }).messages({
+    'string.empty': 'Tag cannot be empty',
+    'string.max': `Tags cannot exceed ${MAX_TAG_LENGTH} characters`,
+    'any.required': 'Tag is required for addTag',
+    'any.unknown': 'Tag is only allowed for addTag'
+  })
+});
+
+/**
+ * Apply a bulk operation to one gem and save it
+ * Returns the revision action to record, or null when the gem already matched
+ * A gem moving to another category loses its subcategory unless one is given
+ */
+const applyBulkOperation = async (gem, { operation, category, subcategory, tag }, username) => {
+  switch (operation) {
+    case 'activate':
+    case 'deactivate': {
+      const isActive = operation === 'activate';
+      if (gem.isActive === isActive) return null;
+      gem.isActive = isActive;
+      await gem.save();
+      return operation;
+    }
+    case 'delete':
+      await gem.softDelete(username);
+      return 'delete';
+    case 'setCategory': {
+      const nextSubcategory = subcategory !== undefined
+        ? subcategory || undefined
+        : gem.category === category ? gem.subcategory : undefined;
+      if (gem.category === category && gem.subcategory === nextSubcategory) return null;
+      gem.category = category;
+      gem.subcategory = nextSubcategory;
+      await gem.save();
+      return 'update';
+    }
+    case 'addTag': {
+      const [normalizedTag] = normalizeTags([tag]);
+      if (gem.tags.includes(normalizedTag)) return null;
+      gem.tags.push(normalizedTag);
+      await gem.save();
+      return 'update';
+    }
+  }
+};
+
+/**
+ * Apply one operation to many gems (Admin only)
+ * POST /api/gems/bulk
+ * Body: { ids: [...], operation: 'activate' | 'deactivate' | 'delete' | 'setCategory' | 'addTag', category?, subcategory?, tag? }
+ * Each gem is saved on its own, so one failure does not undo the others;
+ * the response reports the outcome for every ID and each change is recorded
+ * in the gem's edit history
+ */
+const bulkUpdateGems = async (req, res) => {
+  try {
+    // Ensure database connection is established (critical for serverless)
+    await database.ensureConnection();
+
+    // Validate request body
+    const { error, value } = bulkSchema.validate(req.body || {}, {
+      context: await categoryService.getValidationContext(),
+      abortEarly: false
+    });
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Invalid input data',
+          details: error.details.map(detail => ({
+            field: detail.path.join('.'),
+            message: detail.message
+          }))
+        },
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    // Check the subcategory once rather than failing every gem on it
+    if (value.subcategory) {
+      const resolvedSubcategory = await categoryService.resolveSubcategory(value.category, value.subcategory);
+      if (!resolvedSubcategory) {
+        const names = categoryService.getCachedSubcategoryNames(value.category);
+        return res.status(400).json({
+          success: false,
+          error: {
+            code: 'VALIDATION_ERROR',
+            message: 'Invalid input data',
+            details: [{
+              field: 'subcategory',
+              message: names.length > 0
+                ? `Subcategory must be one of: ${names.join(', ')}`
+                : `Category '${value.category}' has no subcategories`
+            }]
+          },
+          timestamp: new Date().toISOString()
+        });
+      }
+      value.subcategory = resolvedSubcategory;
+    }
+
+    // Gems in trash (including merged duplicates) count as not found
+    const gems = await Gem.find({ _id: { $in: value.ids }, isActive: { $in: [true, false] } });
+    const gemsById = new Map(gems.map(gem => [gem._id.toString(), gem]));
+    const username = req.user?.username || 'admin';
+    const results = [];
+
+    for (const id of value.ids) {
+      const gem = gemsById.get(id.toLowerCase());
+      if (!gem) {
+        results.push({ id, status: 'not_found' });
+        continue;
+      }
+
+      const before = GemRevision.snapshot(gem);
+      try {
+        const action = await applyBulkOperation(gem, value, username);
+        if (action) {
+          await recordRevision(req, gem, action, { before });
+        }
+        results.push({ id, status: action ? 'updated' : 'unchanged', name: gem.name, version: gem.__v });
+      } catch (gemError) {
+        // Report the gem and carry on with the rest
+        let errors;
+        if (gemError.name === 'ValidationError') {
+          errors = Object.values(gemError.errors).map(err => ({ field: err.path, message: err.message }));
+        } else if (gemError.name === 'VersionError') {
+          errors = [{ field: 'version', message: 'Gem was modified by another request; please retry' }];
+        } else {
+          console.error(`Error applying bulk ${value.operation} to gem ${id}:`, gemError);
+          errors = [{ message: 'Failed to update gem' }];
+        }
+        results.push({ id, status: 'failed', name: gem.name, errors });
+      }
+    }
+
+    const count = (status) => results.filter(result => result.status === status).length;
+    const summary = {
+      operation: value.operation,
+      total: results.length,
+      updated: count('updated'),
+      unchanged: count('unchanged'),
+      notFound: count('not_found'),
+      failed: count('failed')
+    };
+
+    res.status(200).json({
+      success: true,
+      data: { ...summary, results },
+      message: `Bulk ${value.operation}: ${summary.updated} updated, ${summary.unchanged} unchanged, ${summary.notFound} not found, ${summary.failed} failed`,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Error applying bulk gem operation:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'DATABASE_ERROR',
+        message: 'Failed to apply bulk operation',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+};
+
+/**
+ * Update an existing gem (Admin only)
+ * PUT /api/gems/:id
+ */
+const updateGem = async (req, res) => {
+  try {
+    // Ensure database connection is established (critical for serverless)
+    await database.ensureConnection();
+    
+    const { id } = req.params;
+
+    // Validate ObjectId format
+    if (!id.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'INVALID_ID_FORMAT',
+          message: 'Invalid gem ID format',
+          details: { providedId: id }
+        },
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    // Validate request body
+    const { error, value } = gemSchema.validate(req.body, {
+      context: await categoryService.getValidationContext()
+    });
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Invalid input data',
+          details: error.details.map(detail => ({
+            field: detail.path.join('.'),
+            message: detail.message
+          }))
+        },
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    // Find current gem (active or inactive) to check the If-Match precondition
+    const currentGem = await Gem.findOne({ _id: id, isActive: { $in: [true, false] } });
+
+    if (!currentGem) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'GEM_NOT_FOUND',
+          message: 'Gem not found',
+          details: { requestedId: id }
+        },
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    if (!checkGemPrecondition(req, res, currentGem)) return;
+
+    const before = GemRevision.snapshot(currentGem);
+
+    // Save through the document so model middleware (geo point, gallery cover) runs;
+    // the save fails with a VersionError if someone else changed the gem meanwhile
+    const gem = currentGem.set(value);
+    await gem.save();
+
+    await recordRevision(req, gem, editAction(before, gem), { before });
+
+    res.set('ETag', gem.getETag());
+    res.status(200).json({
+      success: true,
+      data: gem,
+      message: `Gem '${gem.name}' updated successfully`,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Error updating gem:', error);
+
+    // Handle concurrent modification between load and save
+    if (error.name === 'VersionError') {
+      const latestGem = await Gem.findOne({ _id: req.params.id, isActive: { $in: [true, false] } });
+      if (latestGem) {
+        return sendVersionConflict(res, latestGem);
+      }
+    }
+
+    // Handle model validation errors on the updated document
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Invalid input data',
+          details: Object.values(error.errors).map(err => ({
+            field: err.path,
+            message: err.message
+          }))
+        },
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    // Handle duplicate key error
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        error: {
+          code: 'DUPLICATE_GEM',
+          message: 'A gem with similar details already exists',
+          details: process.env.NODE_ENV === 'development' ? error.keyValue : undefined
+        },
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'DATABASE_ERROR',
+        message: 'Failed to update gem',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+};
+
+/**
+ * Partially update an existing gem (Admin only)
+ * Nested objects and dot-path keys are merged into the existing gem
+ * PATCH /api/gems/:id
+ */
+const patchGem = async (req, res) => {
+  try {
+    // Ensure database connection is established (critical for serverless)
+    await database.ensureConnection();
+    
+    const { id } = req.params;
+
+    // Validate ObjectId format
+    if (!id.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'INVALID_ID_FORMAT',
+          message: 'Invalid gem ID format',
+          details: { providedId: id }
+        },
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    // Validate request body (dot-path keys are expanded first)
+    const { error, value } = gemPatchSchema.validate(expandDotPaths(req.body || {}), {
+      context: await categoryService.getValidationContext()
+    });
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Invalid input data',
+          details: error.details.map(detail => ({
+            field: detail.path.join('.'),
+            message: detail.message
+          }))
+        },
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    // Find gem regardless of its active status
+    const gem = await Gem.findOne({ _id: id, isActive: { $in: [true, false] } });
+
+    if (!gem) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'GEM_NOT_FOUND',
+          message: 'Gem not found',
+          details: { requestedId: id }
+        },
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    if (!checkGemPrecondition(req, res, gem)) return;
+
+    // A gem moving to another category loses its old subcategory unless a new one is sent
+    if (value.category !== undefined && value.category !== gem.category && value.subcategory === undefined) {
+      value.subcategory = null;
+    }
+
+    const before = GemRevision.snapshot(gem);
+
+    // Merge each provided path into the gem, tracking what actually changed
+    const changedFields = [];
+    for (const [path, newValue] of Object.entries(flattenToPaths(value))) {
+      const nextValue = newValue === null ? undefined : newValue;
+      
+      if (JSON.stringify(gem.get(path)) !== JSON.stringify(nextValue)) {
+        gem.set(path, nextValue);
+        changedFields.push(path);
+      }
+    }
+
+    if (changedFields.length > 0) {
+      await gem.save();
+      await recordRevision(req, gem, editAction(before, gem), { before });
+    }
+
+    res.set('ETag', gem.getETag());
+    res.status(200).json({
+      success: true,
+      data: gem,
+      changedFields,
+      message: changedFields.length > 0
+        ? `Gem '${gem.name}' updated successfully`
+        : `No changes made to gem '${gem.name}'`,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Error patching gem:', error);
+
+    // Handle concurrent modification between load and save
+    if (error.name === 'VersionError') {
+      const latestGem = await Gem.findOne({ _id: req.params.id, isActive: { $in: [true, false] } });
+      if (latestGem) {
+        return sendVersionConflict(res, latestGem);
+      }
+    }
+
+    // Handle model validation errors on the merged document
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Invalid input data',
+          details: Object.values(error.errors).map(err => ({
+            field: err.path,
+            message: err.message
+          }))
+        },
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'DATABASE_ERROR',
+        message: 'Failed to update gem',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+};
+
+/**
+ * Soft delete a gem by moving it to trash (Admin only)
+ * DELETE /api/gems/:id
+ */
+const deleteGem = async (req, res) => {
+  try {
+    // Ensure database connection is established (critical for serverless)
+    await database.ensureConnection();
+    
+    const { id } = req.params;
+
+    // Validate ObjectId format
+    if (!id.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'INVALID_ID_FORMAT',
+          message: 'Invalid gem ID format',
+          details: { providedId: id }
+        },
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    // Find gem (active or inactive) that is not already in trash
+    const gem = await Gem.findOne({ _id: id, isActive: { $in: [true, false] } });
+
+    if (!gem) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'GEM_NOT_FOUND',
+          message: 'Gem not found',
+          details: { requestedId: id }
+        },
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    if (!checkGemPrecondition(req, res, gem)) return;
+
+    // Move gem to trash so it can be restored later
+    await gem.softDelete(req.user?.username || 'admin');
+    await recordRevision(req, gem, 'delete');
+
+    res.status(200).json({
+      success: true,
+      data: {
+        deletedGem: {
+          id: gem._id,
+          name: gem.name,
+          deletedAt: gem.deletedAt,
+          deletedBy: gem.deletedBy
+        }
+      },
+      message: `Gem '${gem.name}' deleted successfully`,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Error deleting gem:', error);
+
+    // Handle concurrent modification between load and save
+    if (error.name === 'VersionError') {
+      const latestGem = await Gem.findOne({ _id: req.params.id, isActive: { $in: [true, false] } });
+      if (latestGem) {
+        return sendVersionConflict(res, latestGem);
+      }
+    }
+
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'DATABASE_ERROR',
+        message: 'Failed to delete gem',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+};
+
+/**
+ * Validation schema for setting a gem's active status
+ */
+const activeStatusSchema = Joi.object({
+  isActive: Joi.boolean().optional().messages({
+    'boolean.base': 'isActive must be true or false'
+  })
+});
+
+/**
+ * Set or toggle a gem's active status (Admin only)
+ * Omitting isActive toggles the current status
+ * PATCH /api/gems/:id/active
+ */
+const setGemActiveStatus = async (req, res) => {
+  try {
+    // Ensure database connection is established (critical for serverless)
+    await database.ensureConnection();
+    
+    const { id } = req.params;
+
+    // Validate ObjectId format
+    if (!id.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'INVALID_ID_FORMAT',
+          message: 'Invalid gem ID format',
+          details: { providedId: id }
+        },
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    // Validate request body
+    const { error, value } = activeStatusSchema.validate(req.body || {});
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Invalid input data',
+          details: error.details.map(detail => ({
+            field: detail.path.join('.'),
+            message: detail.message
+          }))
+        },
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    // Find gem regardless of its current status
+    const gem = await Gem.findOne({ _id: id, isActive: { $in: [true, false] } });
+
+    if (!gem) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'GEM_NOT_FOUND',
+          message: 'Gem not found',
+          details: { requestedId: id }
+        },
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    if (!checkGemPrecondition(req, res, gem)) return;
+
+    const before = GemRevision.snapshot(gem);
+
+    if (value.isActive === undefined) {
+      await gem.toggleActive();
+    } else if (gem.isActive !== value.isActive) {
+      gem.isActive = value.isActive;
+      await gem.save();
+    }
+
+    if (before.isActive !== gem.isActive) {
+      await recordRevision(req, gem, gem.isActive ? 'activate' : 'deactivate', { before });
+    }
+
+    res.set('ETag', gem.getETag());
+    res.status(200).json({
+      success: true,
+      data: gem,
+      message: `Gem '${gem.name}' is now ${gem.isActive ? 'active' : 'inactive'}`,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Error updating gem active status:', error);
+
+    // Handle concurrent modification between load and save
+    if (error.name === 'VersionError') {
+      const latestGem = await Gem.findOne({ _id: req.params.id, isActive: { $in: [true, false] } });
+      if (latestGem) {
+        return sendVersionConflict(res, latestGem);
+      }
+    }
+
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'DATABASE_ERROR',
+        message: 'Failed to update gem active status',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+};
+
+/**
+ * List gems in trash (Admin only)
+ * GET /api/gems/trash
+ */
+const getTrashedGems = async (req, res) => {
+  try {
+    // Ensure database connection is established (critical for serverless)
+    await database.ensureConnection();
+    
+    // Validate pagination parameters
+    const { error, value } = paginationQuerySchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Invalid query parameters',
+          details: error.details.map(detail => ({
+            field: detail.path.join('.'),
+            message: detail.message
+          }))
+        },
+        timestamp: new Date().toISOString()
+      });
+    }
+    const { page = 1, limit } = value;
+    
+    // Calculate pagination
+    const skip = (page - 1) * limit;
+    
+    // Fetch trashed gems, most recently deleted first (merge tombstones are not trash)
+    const gems = await Gem.findDeleted({ mergedInto: null })
+      .sort({ deletedAt: -1 })
+      .skip(skip)
+      .limit(limit);
+    
+    // Get total count for pagination
+    const total = await Gem.countDocuments({ deletedAt: { $ne: null }, mergedInto: null });
+    
+    res.status(200).json({
+      success: true,
+      data: gems,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      },
+      retentionDays: TRASH_RETENTION_DAYS,
+      message: `Found ${gems.length} gems in trash`,
+      timestamp: new Date().toISOString()
+    });
+    
+  } catch (error) {
+    console.error('Error fetching trashed gems:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'DATABASE_ERROR',
+        message: 'Failed to fetch trashed gems',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+};
+
+/**
+ * Restore a gem from trash (Admin only)
+ * POST /api/gems/:id/restore
+ */
+const restoreGem = async (req, res) => {
+  try {
+    // Ensure database connection is established (critical for serverless)
+    await database.ensureConnection();
+    
+    const { id } = req.params;
+
+    // Validate ObjectId format
+    if (!id.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'INVALID_ID_FORMAT',
+          message: 'Invalid gem ID format',
+          details: { providedId: id }
+        },
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const gem = await Gem.findDeleted({ _id: id, mergedInto: null }).findOne();
+
+    if (!gem) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'GEM_NOT_FOUND',
+          message: 'Gem not found in trash',
+          details: { requestedId: id }
+        },
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    if (!checkGemPrecondition(req, res, gem)) return;
+
+    await gem.restore();
+    await recordRevision(req, gem, 'restore');
+
+    res.set('ETag', gem.getETag());
+    res.status(200).json({
+      success: true,
+      data: gem,
+      message: `Gem '${gem.name}' restored successfully`,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Error restoring gem:', error);
+
+    // Handle concurrent modification between load and save
+    if (error.name === 'VersionError') {
+      const latestGem = await Gem.findDeleted({ _id: req.params.id, mergedInto: null }).findOne();
+      if (latestGem) {
+        return sendVersionConflict(res, latestGem);
+      }
+    }
+
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'DATABASE_ERROR',
+        message: 'Failed to restore gem',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+};
+
+/**
+ * Permanently purge gems that have been in trash longer than the retention window (Admin only)
+ * DELETE /api/gems/trash?olderThanDays=30
+ */
+const purgeTrashedGems = async (req, res) => {
+  try {
+    // Ensure database connection is established (critical for serverless)
+    await database.ensureConnection();
+    
+    const olderThanDays = req.query.olderThanDays !== undefined
+      ? Number(req.query.olderThanDays)
+      : TRASH_RETENTION_DAYS;
+    
+    // A shorter window would purge gems whose tombstones change feed clients
+    // syncing within the retention window still expect
+    if (!Number.isInteger(olderThanDays) || olderThanDays < TRASH_RETENTION_DAYS) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Invalid input data',
+          details: [{ field: 'olderThanDays', message: `olderThanDays must be a whole number of at least ${TRASH_RETENTION_DAYS}` }]
+        },
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    const cutoff = new Date(Date.now() - olderThanDays * 24 * 60 * 60 * 1000);
+    // Merge tombstones are kept so old links keep redirecting
+    const result = await Gem.deleteMany({ deletedAt: { $ne: null, $lte: cutoff }, mergedInto: null });
+    
+    res.status(200).json({
+      success: true,
+      data: {
+        purgedCount: result.deletedCount,
+        olderThanDays,
+        cutoff
+      },
+      message: `Permanently deleted ${result.deletedCount} gems from trash`,
+      timestamp: new Date().toISOString()
+    });
+    
+  } catch (error) {
+    console.error('Error purging trashed gems:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'DATABASE_ERROR',
+        message: 'Failed to purge trashed gems',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+};
+
+/**
+ * Validation schema for adding a gallery image
+ */
+const addImageSchema = imageSchema.keys({
+  isCover: Joi.boolean().optional(),
+  position: Joi.number().integer().min(0).optional().messages({
+    'number.base': 'Position must be a number',
+    'number.min': 'Position must be 0 or greater'
+  })
+});
+
+/**
+ * Validation schema for reordering gallery images
+ */
+const imageOrderSchema = Joi.object({
+  order: Joi.array().items(Joi.string().hex().length(24)).min(1).unique().required().messages({
+    'array.unique': 'Image IDs in order must be unique',
+    'any.required': 'Order is required'
+  }),
+  coverImageId: Joi.string().hex().length(24).optional()
+});
+
+/**
+ * Load a gem for a gallery or translation change, responding with 400/404/428/412 as needed
+ * Returns null if a response has already been sent
+ */
+const findGemForChange = async (req, res) => {
+  const { id } = req.params;
+
+  // Validate ObjectId format
+  if (!id.match(/^[0-9a-fA-F]{24}$/)) {
+    res.status(400).json({
+      success: false,
+      error: {
+        code: 'INVALID_ID_FORMAT',
+        message: 'Invalid gem ID format',
+        details: { providedId: id }
+      },
+      timestamp: new Date().toISOString()
+    });
+    return null;
+  }
+
+  // Find gem regardless of its active status
+  const gem = await Gem.findOne({ _id: id, isActive: { $in: [true, false] } });
+
+  if (!gem) {
+    res.status(404).json({
+      success: false,
+      error: {
+        code: 'GEM_NOT_FOUND',
+        message: 'Gem not found',
+        details: { requestedId: id }
+      },
+      timestamp: new Date().toISOString()
+    });
+    return null;
+  }
+
+  if (!checkGemPrecondition(req, res, gem)) return null;
+
+  return gem;
+};
+
+/**
+ * Map an error from a gallery or translation change to an error response
+ */
+const sendGemChangeError = async (req, res, error, message) => {
+  // Handle concurrent modification between load and save
+  if (error.name === 'VersionError') {
+    const latestGem = await Gem.findOne({ _id: req.params.id, isActive: { $in: [true, false] } });
+    if (latestGem) {
+      return sendVersionConflict(res, latestGem);
+    }
+  }
+
+  // Handle model validation errors (e.g. gallery size limit)
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({
+      success: false,
+      error: {
+        code: 'VALIDATION_ERROR',
+        message: 'Invalid input data',
+        details: Object.values(error.errors).map(err => ({
+          field: err.path,
+          message: err.message
+        }))
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  res.status(500).json({
+    success: false,
+    error: {
+      code: 'DATABASE_ERROR',
+      message,
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    },
+    timestamp: new Date().toISOString()
+  });
+};
+
+/**
+ * Add an image to a gem's gallery (Admin only)
+ * POST /api/gems/:id/images
+ */
+const addGemImage = async (req, res) => {
+  try {
+    // Ensure database connection is established (critical for serverless)
+    await database.ensureConnection();
+
+    // Validate request body
+    const { error, value } = addImageSchema.validate(req.body || {});
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Invalid input data',
+          details: error.details.map(detail => ({
+            field: detail.path.join('.'),
+            message: detail.message
+          }))
+        },
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const gem = await findGemForChange(req, res);
+    if (!gem) return;
+
+    const before = GemRevision.snapshot(gem);
+    const { position = gem.images.length, isCover = false, ...image } = value;
+
+    if (isCover) {
+      gem.images.forEach(existing => { existing.isCover = false; });
+    }
+    gem.images.splice(Math.min(position, gem.images.length), 0, { ...image, isCover });
+
+    await gem.save();
+    await recordRevision(req, gem, 'update', { before });
+
+    res.set('ETag', gem.getETag());
+    res.status(201).json({
+      success: true,
+      data: gem,
+      message: `Image added to gem '${gem.name}'`,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Error adding gem image:', error);
+    return sendGemChangeError(req, res, error, 'Failed to add gem image');
+  }
+};
+
+/**
+ * Reorder a gem's gallery and optionally choose a new cover (Admin only)
+ * PUT /api/gems/:id/images/order
+ */
+const reorderGemImages = async (req, res) => {
+  try {
+    // Ensure database connection is established (critical for serverless)
+    await database.ensureConnection();
+
+    // Validate request body
+    const { error, value } = imageOrderSchema.validate(req.body || {});
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Invalid input data',
+          details: error.details.map(detail => ({
+            field: detail.path.join('.'),
+            message: detail.message
+          }))
+        },
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const gem = await findGemForChange(req, res);
+    if (!gem) return;
+
+    // The new order must list every gallery image exactly once
+    const currentIds = gem.images.map(image => image._id.toString());
+    const { order, coverImageId } = value;
+    const isPermutation = order.length === currentIds.length && order.every(imageId => currentIds.includes(imageId));
+
+    if (!isPermutation || (coverImageId && !currentIds.includes(coverImageId))) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'INVALID_IMAGE_ORDER',
+          message: 'Order must list every gallery image ID exactly once and the cover must be one of them',
+          details: { imageIds: currentIds }
+        },
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const before = GemRevision.snapshot(gem);
+    const reordered = order.map(imageId => gem.images.id(imageId).toObject());
+
+    if (coverImageId) {
+      reordered.forEach(image => { image.isCover = image._id.toString() === coverImageId; });
+    }
+    gem.images = reordered;
+
+    if (diffPaths(before, GemRevision.snapshot(gem)).length > 0) {
+      await gem.save();
+      await recordRevision(req, gem, 'update', { before });
+    }
+
+    res.set('ETag', gem.getETag());
+    res.status(200).json({
+      success: true,
+      data: gem,
+      message: `Images reordered for gem '${gem.name}'`,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Error reordering gem images:', error);
+    return sendGemChangeError(req, res, error, 'Failed to reorder gem images');
+  }
+};
+
+/**
+ * Remove an image from a gem's gallery (Admin only)
+ * Removing the cover makes the next image the cover; the last image cannot be removed
+ * DELETE /api/gems/:id/images/:imageId
+ */
+const removeGemImage = async (req, res) => {
+  try {
+    // Ensure database connection is established (critical for serverless)
+    await database.ensureConnection();
+
+    const { imageId } = req.params;
+
+    const gem = await findGemForChange(req, res);
+    if (!gem) return;
+
+    const image = imageId.match(/^[0-9a-fA-F]{24}$/) ? gem.images.id(imageId) : null;
+
+    if (!image) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'IMAGE_NOT_FOUND',
+          message: 'Image not found in gem gallery',
+          details: { requestedId: req.params.id, imageId }
+        },
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    if (gem.images.length === 1) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'LAST_IMAGE',
+          message: 'A gem must keep at least one image',
+          details: { imageId }
+        },
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const before = GemRevision.snapshot(gem);
+
+    image.deleteOne();
+    await gem.save();
+    await recordRevision(req, gem, 'update', { before });
+
+    res.set('ETag', gem.getETag());
+    res.status(200).json({
+      success: true,
+      data: gem,
+      message: `Image removed from gem '${gem.name}'`,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Error removing gem image:', error);
+    return sendGemChangeError(req, res, error, 'Failed to remove gem image');
+  }
+};
+
+/**
+ * Get the edit history of a gem, newest first (Admin only)
+ * Works for active, inactive and trashed gems
+ * GET /api/gems/:id/history
+ */
+const getGemHistory = async (req, res) => {
+  try {
+    // Ensure database connection is established (critical for serverless)
+    await database.ensureConnection();
+    
+    const { id } = req.params;
+
+    // Validate ObjectId format
+    if (!id.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'INVALID_ID_FORMAT',
+          message: 'Invalid gem ID format',
+          details: { providedId: id }
+        },
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    // Validate pagination parameters
+    const { error, value } = paginationQuerySchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Invalid query parameters',
+          details: error.details.map(detail => ({
+            field: detail.path.join('.'),
+            message: detail.message
+          }))
+        },
+        timestamp: new Date().toISOString()
+      });
+    }
+    const { page = 1, limit } = value;
+
+    const gem = await Gem.findOne({ _id: id, isActive: { $in: [true, false] } })
+      || await Gem.findDeleted({ _id: id }).findOne();
+
+    if (!gem) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'GEM_NOT_FOUND',
+          message: 'Gem not found',
+          details: { requestedId: id }
+        },
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    // Calculate pagination
+    const skip = (page - 1) * limit;
+
+    const revisions = await GemRevision.findByGem(gem._id)
+      .skip(skip)
+      .limit(limit);
+
+    // Get total count for pagination
+    const total = await GemRevision.countDocuments({ gem: gem._id });
+
+    res.status(200).json({
+      success: true,
+      data: revisions,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      },
+      message: `Found ${total} revisions for gem '${gem.name}'`,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Error fetching gem history:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'DATABASE_ERROR',
+        message: 'Failed to fetch gem history',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+};
+
+/**
+ * Revert a gem to the state recorded in one of its revisions (Admin only)
+ * The revert itself is recorded as a new revision
+ * POST /api/gems/:id/revert/:revisionId
+ */
+const revertGem = async (req, res) => {
+  try {
+    // Ensure database connection is established (critical for serverless)
+    await database.ensureConnection();
+    
+    const { id, revisionId } = req.params;
+
+    // Validate ObjectId formats
+    if (!id.match(/^[0-9a-fA-F]{24}$/) || !revisionId.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'INVALID_ID_FORMAT',
+          message: 'Invalid gem or revision ID format',
+          details: { providedId: id, providedRevisionId: revisionId }
+        },
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    // Trashed gems must be restored before they can be reverted
+    const gem = await Gem.findOne({ _id: id, isActive: { $in: [true, false] } });
+
     if (!gem) {
       return res.status(404).json({
         success: false,
@@ -102,35 +3118,78 @@ const getGemById = async (req, res) => {
         timestamp: new Date().toISOString()
       });
     }
-    
-    // Check if gem is active
-    if (!gem.isActive) {
+
+    const revision = await GemRevision.findOne({ _id: revisionId, gem: gem._id });
+
+    if (!revision) {
       return res.status(404).json({
         success: false,
         error: {
-          code: 'GEM_NOT_AVAILABLE',
-          message: 'Gem is not currently available',
-          details: { requestedId: id }
+          code: 'REVISION_NOT_FOUND',
+          message: 'Revision not found for this gem',
+          details: { requestedId: id, revisionId }
         },
         timestamp: new Date().toISOString()
       });
     }
-    
-    // Return successful response
+
+    if (!checkGemPrecondition(req, res, gem)) return;
+
+    const before = GemRevision.snapshot(gem);
+    const changes = diffPaths(before, revision.snapshot);
+
+    if (changes.length > 0) {
+      // Fields missing from the revision snapshot did not exist at the time and are cleared
+      const fields = new Set([...Object.keys(before), ...Object.keys(revision.snapshot)]);
+      fields.forEach(field => gem.set(field, revision.snapshot[field]));
+
+      await gem.save();
+      await recordRevision(req, gem, 'revert', { before, revertedFrom: revision._id });
+    }
+
+    res.set('ETag', gem.getETag());
     res.status(200).json({
       success: true,
       data: gem,
-      message: `Gem '${gem.name}' retrieved successfully`,
+      changedFields: changes.map(change => change.path),
+      message: changes.length > 0
+        ? `Gem '${gem.name}' reverted successfully`
+        : `Gem '${gem.name}' already matches this revision`,
       timestamp: new Date().toISOString()
     });
-    
+
   } catch (error) {
-    console.error('Error fetching gem by ID:', error);
+    console.error('Error reverting gem:', error);
+
+    // Handle concurrent modification between load and save
+    if (error.name === 'VersionError') {
+      const latestGem = await Gem.findOne({ _id: req.params.id, isActive: { $in: [true, false] } });
+      if (latestGem) {
+        return sendVersionConflict(res, latestGem);
+      }
+    }
+
+    // Handle model validation errors on the reverted document
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Revision is no longer valid for this gem',
+          details: Object.values(error.errors).map(err => ({
+            field: err.path,
+            message: err.message
+          }))
+        },
+        timestamp: new Date().toISOString()
+      });
+    }
+
     res.status(500).json({
       success: false,
       error: {
         code: 'DATABASE_ERROR',
-        message: 'Failed to fetch gem from database',
+        message: 'Failed to revert gem',
         details: process.env.NODE_ENV === 'development' ? error.message : undefined
       },
       timestamp: new Date().toISOString()
@@ -139,127 +3198,142 @@ const getGemById = async (req, res) => {
 };
 
 /**
- * Validation schema for creating/updating gems
+ * Validation schema for a gem translation
+ * Text is Unicode-normalized (NFC) so Perso-Arabic and Devanagari input from
+ * different keyboards is stored consistently
  */
-const gemSchema = Joi.object({
-  name: Joi.string().required().min(2).max(100).messages({
-    'string.empty': 'Gem name is required',
+const translationSchema = Joi.object({
+  name: Joi.string().trim().normalize().min(2).max(100).optional().messages({
+    'string.empty': 'Gem name cannot be empty',
     'string.min': 'Gem name must be at least 2 characters long',
-    'string.max': 'Gem name cannot exceed 100 characters',
-    'any.required': 'Gem name is required'
+    'string.max': 'Gem name cannot exceed 100 characters'
   }),
-  description: Joi.string().required().min(10).max(1000).messages({
-    'string.empty': 'Description is required',
+  description: Joi.string().trim().normalize().min(10).max(1000).optional().messages({
+    'string.empty': 'Description cannot be empty',
     'string.min': 'Description must be at least 10 characters long',
-    'string.max': 'Description cannot exceed 1000 characters',
-    'any.required': 'Description is required'
+    'string.max': 'Description cannot exceed 1000 characters'
   }),
-  category: Joi.string().valid('Food', 'Craft', 'Viewpoint', 'Shopping', 'Experience').required().messages({
-    'any.only': 'Category must be one of: Food, Craft, Viewpoint, Shopping, Experience',
-    'any.required': 'Category is required'
+  address: Joi.string().trim().normalize().min(5).max(200).optional().messages({
+    'string.empty': 'Address cannot be empty',
+    'string.min': 'Address must be at least 5 characters long',
+    'string.max': 'Address cannot exceed 200 characters'
   }),
-  location: Joi.object({
-    latitude: Joi.number().min(-90).max(90).required().messages({
-      'number.min': 'Latitude must be between -90 and 90',
-      'number.max': 'Latitude must be between -90 and 90',
-      'any.required': 'Latitude is required'
-    }),
-    longitude: Joi.number().min(-180).max(180).required().messages({
-      'number.min': 'Longitude must be between -180 and 180',
-      'number.max': 'Longitude must be between -180 and 180',
-      'any.required': 'Longitude is required'
-    }),
-    address: Joi.string().required().min(5).max(200).messages({
-      'string.empty': 'Address is required',
-      'string.min': 'Address must be at least 5 characters long',
-      'string.max': 'Address cannot exceed 200 characters',
-      'any.required': 'Address is required'
-    })
-  }).required(),
-  image: Joi.object({
-    url: Joi.string().uri().required().messages({
-      'string.uri': 'Image URL must be a valid URI',
-      'any.required': 'Image URL is required'
-    }),
-    thumbnail: Joi.string().uri().optional().messages({
-      'string.uri': 'Thumbnail URL must be a valid URI'
-    }),
-    alt: Joi.string().required().min(5).max(100).messages({
-      'string.empty': 'Image alt text is required',
-      'string.min': 'Image alt text must be at least 5 characters long',
-      'string.max': 'Image alt text cannot exceed 100 characters',
-      'any.required': 'Image alt text is required'
+  imageAlts: Joi.object().pattern(
+    Joi.string().hex().length(24),
+    Joi.string().trim().normalize().min(3).max(100).messages({
+      'string.empty': 'Alt text cannot be empty',
+      'string.min': 'Alt text must be at least 3 characters long',
+      'string.max': 'Alt text cannot exceed 100 characters'
     })
-  }).required(),
-  contact: Joi.object({
-    phone: Joi.string().optional().pattern(/^\+?[\d\s\-\(\)]+$/).messages({
-      'string.pattern.base': 'Phone number format is invalid'
-    }),
-    whatsapp: Joi.string().optional().pattern(/^\+?[\d\s\-\(\)]+$/).messages({
-      'string.pattern.base': 'WhatsApp number format is invalid'
-    })
-  }).optional(),
-  isActive: Joi.boolean().optional().default(true)
-});
+  ).optional().messages({
+    'object.unknown': 'imageAlts must be keyed by gallery image ID'
+  })
+})
+  .min(1)
+  .messages({
+    'object.min': 'At least one field must be provided'
+  });
 
 /**
- * Create a new gem (Admin only)
- * POST /api/gems
+ * Respond with 400 unless the locale can hold translations
+ * Returns false if a response has been sent
  */
-const createGem = async (req, res) => {
+const checkTranslationLocale = (res, locale) => {
+  if (TRANSLATION_LOCALES.includes(locale)) return true;
+
+  res.status(400).json({
+    success: false,
+    error: {
+      code: 'INVALID_LOCALE',
+      message: locale === DEFAULT_LOCALE
+        ? 'English content is edited on the gem itself'
+        : `Translations are available for: ${TRANSLATION_LOCALES.join(', ')}`,
+      details: { providedLocale: locale, translationLocales: TRANSLATION_LOCALES }
+    },
+    timestamp: new Date().toISOString()
+  });
+  return false;
+};
+
+/**
+ * Describe one locale's translation of a gem, including what is still missing
+ */
+const describeTranslation = (gem, locale) => {
+  const translation = (gem.translations && gem.translations[locale]) || {};
+  const imageAlts = {};
+  gem.images.forEach(image => {
+    const alt = image.altTranslations && image.altTranslations[locale];
+    if (alt) imageAlts[image._id] = alt;
+  });
+
+  return {
+    locale,
+    direction: getTextDirection(locale),
+    ...Object.fromEntries(TRANSLATABLE_FIELDS.map(field => [field, translation[field] || null])),
+    imageAlts,
+    missingFields: TRANSLATABLE_FIELDS.filter(field => !translation[field]),
+    missingImageAlts: gem.images.filter(image => !imageAlts[image._id]).map(image => image._id)
+  };
+};
+
+/**
+ * Get all translations of a gem (Admin only)
+ * GET /api/gems/:id/translations
+ */
+const getGemTranslations = async (req, res) => {
   try {
     // Ensure database connection is established (critical for serverless)
     await database.ensureConnection();
-    
-    // Validate request body
-    const { error, value } = gemSchema.validate(req.body);
-    if (error) {
+
+    const { id } = req.params;
+
+    // Validate ObjectId format
+    if (!id.match(/^[0-9a-fA-F]{24}$/)) {
       return res.status(400).json({
         success: false,
         error: {
-          code: 'VALIDATION_ERROR',
-          message: 'Invalid input data',
-          details: error.details.map(detail => ({
-            field: detail.path.join('.'),
-            message: detail.message
-          }))
+          code: 'INVALID_ID_FORMAT',
+          message: 'Invalid gem ID format',
+          details: { providedId: id }
         },
         timestamp: new Date().toISOString()
       });
     }
 
-    // Create new gem
-    const gem = new Gem(value);
-    await gem.save();
-
-    res.status(201).json({
-      success: true,
-      data: gem,
-      message: `Gem '${gem.name}' created successfully`,
-      timestamp: new Date().toISOString()
-    });
+    // Find gem regardless of its active status
+    const gem = await Gem.findOne({ _id: id, isActive: { $in: [true, false] } });
 
-  } catch (error) {
-    console.error('Error creating gem:', error);
-    
-    // Handle duplicate key error
-    if (error.code === 11000) {
-      return res.status(409).json({
+    if (!gem) {
+      return res.status(404).json({
         success: false,
         error: {
-          code: 'DUPLICATE_GEM',
-          message: 'A gem with similar details already exists',
-          details: process.env.NODE_ENV === 'development' ? error.keyValue : undefined
+          code: 'GEM_NOT_FOUND',
+          message: 'Gem not found',
+          details: { requestedId: id }
         },
         timestamp: new Date().toISOString()
       });
     }
 
+    res.set('ETag', gem.getETag());
+    res.status(200).json({
+      success: true,
+      data: {
+        gemId: gem._id,
+        defaultLocale: DEFAULT_LOCALE,
+        translations: TRANSLATION_LOCALES.map(locale => describeTranslation(gem, locale))
+      },
+      message: `Translations for gem '${gem.name}' retrieved successfully`,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Error fetching gem translations:', error);
     res.status(500).json({
       success: false,
       error: {
         code: 'DATABASE_ERROR',
-        message: 'Failed to create gem',
+        message: 'Failed to fetch gem translations',
         details: process.env.NODE_ENV === 'development' ? error.message : undefined
       },
       timestamp: new Date().toISOString()
@@ -268,31 +3342,19 @@ const createGem = async (req, res) => {
 };
 
 /**
- * Update an existing gem (Admin only)
- * PUT /api/gems/:id
+ * Set a gem's translation for one locale, replacing any existing one (Admin only)
+ * PUT /api/gems/:id/translations/:locale
  */
-const updateGem = async (req, res) => {
+const setGemTranslation = async (req, res) => {
   try {
     // Ensure database connection is established (critical for serverless)
     await database.ensureConnection();
-    
-    const { id } = req.params;
 
-    // Validate ObjectId format
-    if (!id.match(/^[0-9a-fA-F]{24}$/)) {
-      return res.status(400).json({
-        success: false,
-        error: {
-          code: 'INVALID_ID_FORMAT',
-          message: 'Invalid gem ID format',
-          details: { providedId: id }
-        },
-        timestamp: new Date().toISOString()
-      });
-    }
+    const locale = req.params.locale.toLowerCase();
+    if (!checkTranslationLocale(res, locale)) return;
 
     // Validate request body
-    const { error, value } = gemSchema.validate(req.body);
+    const { error, value } = translationSchema.validate(req.body || {});
     if (error) {
       return res.status(400).json({
         success: false,
@@ -308,124 +3370,243 @@ const updateGem = async (req, res) => {
       });
     }
 
-    // Update gem
-    const gem = await Gem.findByIdAndUpdate(
-      id,
-      { ...value, updatedAt: new Date() },
-      { new: true, runValidators: true }
-    );
+    const gem = await findGemForChange(req, res);
+    if (!gem) return;
 
-    if (!gem) {
+    const { imageAlts = {}, ...fields } = value;
+
+    const unknownImageIds = Object.keys(imageAlts).filter(imageId => !gem.images.id(imageId));
+    if (unknownImageIds.length > 0) {
       return res.status(404).json({
         success: false,
         error: {
-          code: 'GEM_NOT_FOUND',
-          message: 'Gem not found',
-          details: { requestedId: id }
+          code: 'IMAGE_NOT_FOUND',
+          message: 'Image not found in gem gallery',
+          details: { requestedId: req.params.id, imageIds: unknownImageIds }
         },
         timestamp: new Date().toISOString()
       });
     }
 
+    const before = GemRevision.snapshot(gem);
+
+    gem.set(`translations.${locale}`, fields);
+    gem.images.forEach(image => {
+      image.set(`altTranslations.${locale}`, imageAlts[image._id.toString()]);
+    });
+
+    await gem.save();
+    await recordRevision(req, gem, 'update', { before });
+
+    res.set('ETag', gem.getETag());
     res.status(200).json({
       success: true,
-      data: gem,
-      message: `Gem '${gem.name}' updated successfully`,
+      data: describeTranslation(gem, locale),
+      message: `Translation '${locale}' saved for gem '${gem.name}'`,
       timestamp: new Date().toISOString()
     });
 
   } catch (error) {
-    console.error('Error updating gem:', error);
-    
-    // Handle duplicate key error
-    if (error.code === 11000) {
-      return res.status(409).json({
+    console.error('Error saving gem translation:', error);
+    return sendGemChangeError(req, res, error, 'Failed to save gem translation');
+  }
+};
+
+/**
+ * Remove a gem's translation for one locale (Admin only)
+ * DELETE /api/gems/:id/translations/:locale
+ */
+const deleteGemTranslation = async (req, res) => {
+  try {
+    // Ensure database connection is established (critical for serverless)
+    await database.ensureConnection();
+
+    const locale = req.params.locale.toLowerCase();
+    if (!checkTranslationLocale(res, locale)) return;
+
+    const gem = await findGemForChange(req, res);
+    if (!gem) return;
+
+    const existing = describeTranslation(gem, locale);
+    if (existing.missingFields.length === TRANSLATABLE_FIELDS.length && Object.keys(existing.imageAlts).length === 0) {
+      return res.status(404).json({
         success: false,
         error: {
-          code: 'DUPLICATE_GEM',
-          message: 'A gem with similar details already exists',
-          details: process.env.NODE_ENV === 'development' ? error.keyValue : undefined
+          code: 'TRANSLATION_NOT_FOUND',
+          message: `Gem has no '${locale}' translation`,
+          details: { requestedId: req.params.id, locale }
         },
         timestamp: new Date().toISOString()
       });
     }
 
-    res.status(500).json({
-      success: false,
-      error: {
-        code: 'DATABASE_ERROR',
-        message: 'Failed to update gem',
-        details: process.env.NODE_ENV === 'development' ? error.message : undefined
-      },
+    const before = GemRevision.snapshot(gem);
+
+    gem.set(`translations.${locale}`, undefined);
+    gem.images.forEach(image => {
+      image.set(`altTranslations.${locale}`, undefined);
+    });
+
+    await gem.save();
+    await recordRevision(req, gem, 'update', { before });
+
+    res.set('ETag', gem.getETag());
+    res.status(200).json({
+      success: true,
+      data: describeTranslation(gem, locale),
+      message: `Translation '${locale}' removed from gem '${gem.name}'`,
       timestamp: new Date().toISOString()
     });
+
+  } catch (error) {
+    console.error('Error removing gem translation:', error);
+    return sendGemChangeError(req, res, error, 'Failed to remove gem translation');
   }
 };
 
 /**
- * Delete a gem (Admin only)
- * DELETE /api/gems/:id
+ * Merge request validation schema
  */
-const deleteGem = async (req, res) => {
+const mergeSchema = Joi.object({
+  sourceId: Joi.string().hex().length(24).required().messages({
+    'string.hex': 'Source ID must be a valid gem ID',
+    'string.length': 'Source ID must be a valid gem ID',
+    'any.required': 'Source ID is required'
+  }),
+  prefer: Joi.object(
+    Object.fromEntries(Gem.MERGE_FIELDS.map(field => [field, Joi.string().valid('target', 'source')]))
+  ).optional()
+});
+
+/**
+ * Merge a duplicate gem into this one (Admin only)
+ * The source gem is left behind as a tombstone that redirects to this gem
+ * POST /api/gems/:id/merge
+ */
+const mergeGems = async (req, res) => {
   try {
     // Ensure database connection is established (critical for serverless)
     await database.ensureConnection();
-    
-    const { id } = req.params;
 
-    // Validate ObjectId format
-    if (!id.match(/^[0-9a-fA-F]{24}$/)) {
+    // Validate request body
+    const { error, value } = mergeSchema.validate(req.body || {});
+    if (error) {
       return res.status(400).json({
         success: false,
         error: {
-          code: 'INVALID_ID_FORMAT',
-          message: 'Invalid gem ID format',
-          details: { providedId: id }
+          code: 'VALIDATION_ERROR',
+          message: 'Invalid input data',
+          details: error.details.map(detail => ({
+            field: detail.path.join('.'),
+            message: detail.message
+          }))
         },
         timestamp: new Date().toISOString()
       });
     }
 
-    // Find and delete gem
-    const gem = await Gem.findByIdAndDelete(id);
+    const gem = await findGemForChange(req, res);
+    if (!gem) return;
 
-    if (!gem) {
+    if (gem._id.equals(value.sourceId)) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'INVALID_MERGE',
+          message: 'A gem cannot be merged into itself',
+          details: { requestedId: req.params.id, sourceId: value.sourceId }
+        },
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    // Trashed gems must be restored before they can be merged
+    const source = await Gem.findOne({ _id: value.sourceId, isActive: { $in: [true, false] } });
+
+    if (!source) {
       return res.status(404).json({
         success: false,
         error: {
-          code: 'GEM_NOT_FOUND',
-          message: 'Gem not found',
-          details: { requestedId: id }
+          code: 'SOURCE_NOT_FOUND',
+          message: 'Source gem not found',
+          details: { sourceId: value.sourceId }
         },
         timestamp: new Date().toISOString()
       });
     }
 
+    const before = GemRevision.snapshot(gem);
+    const sourceBefore = GemRevision.snapshot(source);
+    const { takenFromSource, imagesAdded } = gem.absorb(source, value.prefer);
+    const changedBy = req.user?.username || 'admin';
+    let requests;
+
+    // Both gems, the repointed references and their history change together or not at all
+    await Gem.db.transaction(async (session) => {
+      await gem.save({ session });
+      await source.markMergedInto(gem._id, changedBy, { session });
+
+      // Repoint references to the source gem, including earlier merges into it
+      requests = await GemRequest.updateMany(
+        { approvedGemId: source._id },
+        { $set: { approvedGemId: gem._id } },
+        { session }
+      );
+      await Gem.collection.updateMany(
+        { mergedInto: source._id },
+        { $set: { mergedInto: gem._id } },
+        { session }
+      );
+
+      await GemRevision.record(gem, 'merge', { before, changedBy, mergedGem: source._id, session });
+      await GemRevision.record(source, 'merge', { before: sourceBefore, changedBy, mergedGem: gem._id, session });
+    });
+
+    res.set('ETag', gem.getETag());
     res.status(200).json({
       success: true,
-      data: { deletedGem: { id: gem._id, name: gem.name } },
-      message: `Gem '${gem.name}' deleted successfully`,
+      data: gem,
+      merged: {
+        sourceId: source._id,
+        takenFromSource,
+        imagesAdded,
+        repointedRequests: requests.modifiedCount
+      },
+      message: `Gem '${source.name}' merged into '${gem.name}' successfully`,
       timestamp: new Date().toISOString()
     });
 
   } catch (error) {
-    console.error('Error deleting gem:', error);
-    res.status(500).json({
-      success: false,
-      error: {
-        code: 'DATABASE_ERROR',
-        message: 'Failed to delete gem',
-        details: process.env.NODE_ENV === 'development' ? error.message : undefined
-      },
-      timestamp: new Date().toISOString()
-    });
+    console.error('Error merging gems:', error);
+    return sendGemChangeError(req, res, error, 'Failed to merge gems');
   }
 };
 
 module.exports = {
   getAllGems,
+  getGemsGeoJSON,
+  getGemChanges,
+  exportGems,
+  searchGems,
   getGemById,
+  getRelatedGems,
   createGem,
+  importGems,
+  bulkUpdateGems,
   updateGem,
-  deleteGem
+  patchGem,
+  deleteGem,
+  setGemActiveStatus,
+  getTrashedGems,
+  restoreGem,
+  purgeTrashedGems,
+  getGemHistory,
+  revertGem,
+  addGemImage,
+  reorderGemImages,
+  removeGemImage,
+  getGemTranslations,
+  setGemTranslation,
+  deleteGemTranslation,
+  mergeGems
 };
\ No newline at end of file
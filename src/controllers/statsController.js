@@ -0,0 +1,168 @@
+const Gem = require('../models/Gem');
+const GemRequest = require('../models/GemRequest');
+const Joi = require('joi');
+const database = require('../config/database');
+const categoryService = require('../services/categoryService');
+
+const WEEK_MS = 7 * 24 * 60 * 60 * 1000;
+
+/**
+ * Validation schema for statistics query parameters
+ */
+const statsQuerySchema = Joi.object({
+  weeks: Joi.number().integer().min(1).max(52).default(12).messages({
+    'number.base': 'Weeks must be a whole number between 1 and 52',
+    'number.integer': 'Weeks must be a whole number between 1 and 52',
+    'number.min': 'Weeks must be a whole number between 1 and 52',
+    'number.max': 'Weeks must be a whole number between 1 and 52'
+  }),
+  topReviewers: Joi.number().integer().min(1).max(50).default(5).messages({
+    'number.base': 'topReviewers must be a whole number between 1 and 50',
+    'number.integer': 'topReviewers must be a whole number between 1 and 50',
+    'number.min': 'topReviewers must be a whole number between 1 and 50',
+    'number.max': 'topReviewers must be a whole number between 1 and 50'
+  })
+});
+
+/**
+ * Convert a duration in milliseconds to hours with two decimals (null stays null)
+ */
+const toHours = (ms) => (ms === null || ms === undefined ? null : Math.round(ms / 36000) / 100);
+
+/**
+ * Start of the Monday (UTC) week `weeksAgo` weeks before the current one
+ */
+const startOfWeek = (now, weeksAgo = 0) => {
+  const daysSinceMonday = (now.getUTCDay() + 6) % 7;
+  const monday = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() - daysSinceMonday);
+  return new Date(monday - weeksAgo * WEEK_MS);
+};
+
+/**
+ * Shape per-category counts into display order, including categories without gems
+ */
+const buildGemCounts = (categories, counts) => {
+  const byCategory = new Map(categories.map(category => [category.name, { category: category.name, active: 0, inactive: 0, total: 0 }]));
+
+  counts.forEach(({ _id, count }) => {
+    if (!byCategory.has(_id.category)) {
+      byCategory.set(_id.category, { category: _id.category, active: 0, inactive: 0, total: 0 });
+    }
+    const entry = byCategory.get(_id.category);
+    entry[_id.isActive ? 'active' : 'inactive'] += count;
+    entry.total += count;
+  });
+
+  const rows = [...byCategory.values()];
+  return {
+    total: rows.reduce((sum, row) => sum + row.total, 0),
+    active: rows.reduce((sum, row) => sum + row.active, 0),
+    inactive: rows.reduce((sum, row) => sum + row.inactive, 0),
+    byCategory: rows
+  };
+};
+
+/**
+ * List every week since `since` with its gem count, filling empty weeks with 0
+ */
+const buildWeeklyCounts = (since, weeks, counts) => {
+  const countsByWeek = new Map(counts.map(({ _id, count }) => [new Date(_id).getTime(), count]));
+
+  return Array.from({ length: weeks }, (_, index) => {
+    const weekStart = new Date(since.getTime() + index * WEEK_MS);
+    return {
+      weekStart: weekStart.toISOString().slice(0, 10),
+      count: countsByWeek.get(weekStart.getTime()) || 0
+    };
+  });
+};
+
+/**
+ * Get aggregate statistics for the admin dashboard (Admin only)
+ * GET /api/stats
+ */
+const getStats = async (req, res) => {
+  try {
+    // Ensure database connection is established (critical for serverless)
+    await database.ensureConnection();
+
+    // Validate query parameters
+    const { error, value } = statsQuerySchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Invalid query parameters',
+          details: error.details.map(detail => ({
+            field: detail.path.join('.'),
+            message: detail.message
+          }))
+        },
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const since = startOfWeek(new Date(), value.weeks - 1);
+
+    const [categories, gemCounts, weeklyCounts, statusCounts, reviewTimes, reviewers] = await Promise.all([
+      categoryService.getCategories(),
+      Gem.countByCategoryAndStatus(),
+      Gem.countCreatedPerWeek(since),
+      GemRequest.countByStatus(),
+      GemRequest.getAverageReviewTime(),
+      GemRequest.findTopReviewers(value.topReviewers)
+    ]);
+
+    // Every status is listed, even without requests
+    const requests = { total: 0 };
+    GemRequest.schema.path('status').enumValues.forEach(status => {
+      requests[status] = 0;
+    });
+    statusCounts.forEach(({ _id, count }) => {
+      requests[_id] = count;
+      requests.total += count;
+    });
+
+    const [reviewTime = { reviewed: 0, averageReviewTime: null }] = reviewTimes;
+
+    res.status(200).json({
+      success: true,
+      data: {
+        gems: buildGemCounts(categories, gemCounts),
+        gemsPerWeek: buildWeeklyCounts(since, value.weeks, weeklyCounts),
+        requests,
+        reviews: {
+          reviewed: reviewTime.reviewed,
+          averageReviewTimeMs: reviewTime.averageReviewTime,
+          averageReviewTimeHours: toHours(reviewTime.averageReviewTime)
+        },
+        topReviewers: reviewers.map(reviewer => ({
+          reviewedBy: reviewer._id,
+          reviewed: reviewer.reviewed,
+          approved: reviewer.approved,
+          rejected: reviewer.rejected,
+          averageReviewTimeHours: toHours(reviewer.averageReviewTime)
+        }))
+      },
+      message: 'Statistics generated successfully',
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Error generating statistics:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'DATABASE_ERROR',
+        message: 'Failed to generate statistics',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+};
+
+module.exports = {
+  getStats
+};
\ No newline at end of file
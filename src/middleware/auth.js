@@ -47,12 +47,39 @@ const authenticateToken = (req, res, next) => {
   });
 };
 
+/**
+ * Optional JWT Authentication Middleware
+ * Sets req.user when a valid token is provided, but never rejects the request.
+ * Used on public routes that expose extra options to admins.
+ */
+const optionalAuth = (req, res, next) => {
+  const authHeader = req.headers['authorization'];
+  const token = authHeader && authHeader.split(' ')[1]; // Bearer TOKEN
+
+  if (!token) {
+    return next();
+  }
+
+  jwt.verify(token, process.env.JWT_SECRET, (err, user) => {
+    // Invalid or expired tokens are treated as anonymous requests
+    if (!err) {
+      req.user = user;
+    }
+    next();
+  });
+};
+
+/**
+ * Check whether the request was made by an authenticated admin
+ */
+const isAdmin = (req) => Boolean(req.user && req.user.role === 'admin');
+
 /**
  * Admin Role Middleware
  * Ensures the authenticated user has admin privileges
  */
 const requireAdmin = (req, res, next) => {
-  if (!req.user || req.user.role !== 'admin') {
+  if (!isAdmin(req)) {
     return res.status(403).json({
       success: false,
       error: {
@@ -67,5 +94,7 @@ const requireAdmin = (req, res, next) => {
 
 module.exports = {
   authenticateToken,
+  optionalAuth,
+  isAdmin,
   requireAdmin
 };
\ No newline at end of file
@@ -0,0 +1,171 @@
+const mongoose = require('mongoose');
+
+/**
+ * Categories created on first run so existing gems stay valid
+ */
+const DEFAULT_CATEGORIES = [
+  {
+    slug: 'food',
+    name: 'Food',
+    icon: '🍲',
+    sortOrder: 1,
+    subcategories: [
+      { slug: 'wazwan', name: 'Wazwan', sortOrder: 1 },
+      { slug: 'bakery', name: 'Bakery', sortOrder: 2 },
+      { slug: 'chai-stall', name: 'Chai Stall', sortOrder: 3 }
+    ]
+  },
+  { slug: 'craft', name: 'Craft', icon: '🧶', sortOrder: 2 },
+  { slug: 'viewpoint', name: 'Viewpoint', icon: '🏔️', sortOrder: 3 },
+  { slug: 'shopping', name: 'Shopping', icon: '🛍️', sortOrder: 4 },
+  { slug: 'experience', name: 'Experience', icon: '✨', sortOrder: 5 }
+];
+
+const SLUG_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+
+/**
+ * Subcategory schema
+ * Slugs and names only need to be unique within their parent category
+ */
+const subcategorySchema = new mongoose.Schema({
+  slug: {
+    type: String,
+    required: [true, 'Subcategory slug is required'],
+    trim: true,
+    lowercase: true,
+    match: [SLUG_PATTERN, 'Slug may only contain lowercase letters, numbers and hyphens'],
+    maxlength: [50, 'Slug cannot exceed 50 characters']
+  },
+  name: {
+    type: String,
+    required: [true, 'Subcategory name is required'],
+    trim: true,
+    minlength: [2, 'Subcategory name must be at least 2 characters long'],
+    maxlength: [50, 'Subcategory name cannot exceed 50 characters']
+  },
+  icon: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Icon cannot exceed 200 characters']
+  },
+  sortOrder: {
+    type: Number,
+    default: 0
+  }
+});
+
+/**
+ * Category schema
+ * Gems and gem requests store the category's display name, so renaming a
+ * category is cascaded to them by the categories controller
+ */
+const categorySchema = new mongoose.Schema({
+  slug: {
+    type: String,
+    required: [true, 'Category slug is required'],
+    unique: true,
+    trim: true,
+    lowercase: true,
+    match: [SLUG_PATTERN, 'Slug may only contain lowercase letters, numbers and hyphens'],
+    maxlength: [50, 'Slug cannot exceed 50 characters']
+  },
+  name: {
+    type: String,
+    required: [true, 'Category name is required'],
+    unique: true,
+    trim: true,
+    minlength: [2, 'Category name must be at least 2 characters long'],
+    maxlength: [50, 'Category name cannot exceed 50 characters']
+  },
+  icon: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Icon cannot exceed 200 characters'] // Emoji, icon name or URL
+  },
+  sortOrder: {
+    type: Number,
+    default: 0
+  },
+  subcategories: {
+    type: [subcategorySchema],
+    validate: {
+      validator: function(subcategories) {
+        const slugs = new Set(subcategories.map(subcategory => subcategory.slug));
+        const names = new Set(subcategories.map(subcategory => subcategory.name.toLowerCase()));
+        return slugs.size === subcategories.length && names.size === subcategories.length;
+      },
+      message: 'Subcategory slugs and names must be unique within a category'
+    }
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+/**
+ * Static method to list categories in display order
+ */
+categorySchema.statics.findSorted = function(filter = {}) {
+  return this.find(filter).sort({ sortOrder: 1, name: 1 });
+};
+
+/**
+ * Instance method to find a subcategory by name or slug (case-insensitive)
+ */
+categorySchema.methods.findSubcategory = function(value) {
+  const needle = String(value).trim().toLowerCase();
+  return this.subcategories.find(subcategory => subcategory.name.toLowerCase() === needle || subcategory.slug === needle);
+};
+
+/**
+ * Static method to create the default categories if none exist yet
+ */
+categorySchema.statics.ensureDefaults = async function() {
+  if (await this.estimatedDocumentCount() > 0) return;
+
+  try {
+    await this.insertMany(DEFAULT_CATEGORIES, { ordered: false });
+  } catch (error) {
+    // Another instance seeded them at the same time
+    if (error.code !== 11000) throw error;
+  }
+};
+
+/**
+ * Static method to add default subcategories that existing default categories
+ * lack, for databases seeded before they were introduced
+ * A subcategory is skipped if its category has one with the same slug or name
+ * Returns the added subcategories as [{ category, subcategory }]
+ */
+categorySchema.statics.addMissingDefaultSubcategories = async function() {
+  const added = [];
+
+  for (const { slug, subcategories = [] } of DEFAULT_CATEGORIES) {
+    for (const subcategory of subcategories) {
+      const result = await this.updateOne(
+        {
+          slug,
+          'subcategories.slug': { $ne: subcategory.slug },
+          'subcategories.name': { $ne: subcategory.name }
+        },
+        { $addToSet: { subcategories: subcategory } }
+      );
+      if (result.modifiedCount > 0) {
+        added.push({ category: slug, subcategory: subcategory.slug });
+      }
+    }
+  }
+
+  return added;
+};
+
+const Category = mongoose.model('Category', categorySchema);
+
+Category.DEFAULT_CATEGORIES = DEFAULT_CATEGORIES;
+
+module.exports = Category;
\ No newline at end of file
@@ -1,4 +1,35 @@
 const mongoose = require('mongoose');
+const { MAX_GALLERY_IMAGES, toImageFields, syncCoverImage } = require('../utils/gallery');
+const {
+  DAYS,
+  OPEN_TIME_PATTERN,
+  CLOSE_TIME_PATTERN,
+  DATE_PATTERN,
+  HAS_OPENING_HOURS_EXPRESSION,
+  getOpeningStatus
+} = require('../utils/openingHours');
+const {
+  MIN_PRICE_LEVEL,
+  MAX_PRICE_LEVEL,
+  AMENITIES,
+  MAX_TAGS,
+  MAX_TAG_LENGTH,
+  normalizeTags
+} = require('../utils/gemAttributes');
+const { DEFAULT_LOCALE, TRANSLATION_LOCALES, TRANSLATABLE_FIELDS } = require('../utils/locales');
+const { nameSimilarity } = require('../utils/search');
+const categoryService = require('../services/categoryService');
+
+// Gems this close together with similar names are flagged as likely duplicates
+const DUPLICATE_RADIUS_METERS = 150;
+const DUPLICATE_NAME_SIMILARITY = 0.8;
+
+// Default radius for related gems: about a 15 minute walk
+const RELATED_RADIUS_METERS = 1000;
+
+// Fields whose value an admin picks from either gem when merging
+// (category carries its subcategory along, location its address translation)
+const MERGE_FIELDS = ['name', 'description', 'category', 'location', 'contact', 'priceLevel', 'openingHours'];
 
 /**
  * Location schema for gem coordinates and address
@@ -75,6 +106,65 @@ const imageSchema = new mongoose.Schema({
   }
 }, { _id: false });
 
+/**
+ * Translated alt text of a gallery image, one optional string per locale
+ */
+const altTranslationsSchema = new mongoose.Schema(
+  Object.fromEntries(TRANSLATION_LOCALES.map(locale => [locale, {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Alt text cannot exceed 100 characters']
+  }])),
+  { _id: false }
+);
+
+/**
+ * Gallery image schema; each image has an _id so it can be reordered or removed
+ */
+const galleryImageSchema = new mongoose.Schema({
+  ...imageSchema.obj,
+  isCover: {
+    type: Boolean,
+    default: false
+  },
+  altTranslations: {
+    type: altTranslationsSchema
+  }
+});
+
+/**
+ * Translation of a gem's text fields into one locale
+ * Every field is optional; missing fields fall back to English
+ */
+const translationSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    trim: true,
+    minlength: [2, 'Gem name must be at least 2 characters long'],
+    maxlength: [100, 'Gem name cannot exceed 100 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    minlength: [10, 'Description must be at least 10 characters long'],
+    maxlength: [1000, 'Description cannot exceed 1000 characters']
+  },
+  address: {
+    type: String,
+    trim: true,
+    minlength: [5, 'Address must be at least 5 characters long'],
+    maxlength: [200, 'Address cannot exceed 200 characters']
+  }
+}, { _id: false });
+
+/**
+ * Translations of a gem keyed by locale (English lives in the gem fields)
+ */
+const translationsSchema = new mongoose.Schema(
+  Object.fromEntries(TRANSLATION_LOCALES.map(locale => [locale, { type: translationSchema }])),
+  { _id: false }
+);
+
 /**
  * Contact schema for gem contact information
  */
@@ -107,6 +197,110 @@ const contactSchema = new mongoose.Schema({
   }
 }, { _id: false });
 
+/**
+ * Opening period schema; times are local "HH:mm" (Asia/Kolkata) and a close
+ * time at or before the open time runs past midnight
+ */
+const timePeriodSchema = new mongoose.Schema({
+  open: {
+    type: String,
+    required: [true, 'Opening time is required'],
+    match: [OPEN_TIME_PATTERN, 'Opening time must be in HH:mm format']
+  },
+  close: {
+    type: String,
+    required: [true, 'Closing time is required'],
+    match: [CLOSE_TIME_PATTERN, 'Closing time must be in HH:mm format (24:00 allowed)']
+  }
+}, { _id: false });
+
+/**
+ * Weekly opening period schema
+ */
+const weeklyPeriodSchema = new mongoose.Schema({
+  day: {
+    type: String,
+    required: [true, 'Day is required'],
+    enum: {
+      values: DAYS,
+      message: `Day must be one of: ${DAYS.join(', ')}`
+    }
+  },
+  ...timePeriodSchema.obj
+}, { _id: false });
+
+/**
+ * Opening hours exception schema for holidays and seasonal closures
+ * Replaces the weekly hours from startDate to endDate (local dates); no periods means closed
+ */
+const hoursExceptionSchema = new mongoose.Schema({
+  startDate: {
+    type: String,
+    required: [true, 'Exception start date is required'],
+    match: [DATE_PATTERN, 'Exception start date must be in YYYY-MM-DD format']
+  },
+  endDate: {
+    type: String,
+    match: [DATE_PATTERN, 'Exception end date must be in YYYY-MM-DD format']
+  },
+  repeatsYearly: {
+    type: Boolean,
+    default: false
+  },
+  periods: {
+    type: [timePeriodSchema],
+    default: []
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Exception note cannot exceed 200 characters']
+  }
+}, { _id: false });
+
+/**
+ * Opening hours schema
+ */
+const openingHoursSchema = new mongoose.Schema({
+  weekly: {
+    type: [weeklyPeriodSchema],
+    default: []
+  },
+  exceptions: {
+    type: [hoursExceptionSchema],
+    default: []
+  }
+}, { _id: false });
+
+/**
+ * GeoJSON point schema used for geospatial queries
+ * Kept in sync with location.latitude/longitude (coordinates are [longitude, latitude])
+ */
+const pointSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['Point'],
+    default: 'Point'
+  },
+  coordinates: {
+    type: [Number],
+    validate: {
+      validator: function(value) {
+        return Array.isArray(value) && value.length === 2;
+      },
+      message: 'Coordinates must be a [longitude, latitude] pair'
+    }
+  }
+}, { _id: false });
+
+/**
+ * Build a GeoJSON point from a location object
+ */
+const toGeoPoint = (location) => ({
+  type: 'Point',
+  coordinates: [location.longitude, location.latitude]
+});
+
 /**
  * Main Gem schema
  */
@@ -129,53 +323,167 @@ const gemSchema = new mongoose.Schema({
   category: {
     type: String,
     required: [true, 'Category is required'],
-    enum: {
-      values: ['Food', 'Craft', 'Viewpoint', 'Shopping', 'Experience'],
-      message: 'Category must be one of: Food, Craft, Viewpoint, Shopping, Experience'
+    validate: {
+      // Categories are managed by admins in the Category collection
+      validator: async function(value) {
+        return (await categoryService.resolve(value)) === value;
+      },
+      message: () => `Category must be one of: ${categoryService.getCachedNames().join(', ')}`
     },
     index: true // Index for category filtering
   },
+  subcategory: {
+    type: String,
+    trim: true,
+    validate: {
+      // Must be one of the subcategories of the gem's category
+      validator: async function(value) {
+        if (!value) return true;
+        return (await categoryService.resolveSubcategory(this.category, value)) === value;
+      },
+      message: (props, doc) => {
+        const names = categoryService.getCachedSubcategoryNames(doc.category);
+        return names.length > 0
+          ? `Subcategory must be one of: ${names.join(', ')}`
+          : `Category '${doc.category}' has no subcategories`;
+      }
+    }
+  },
   location: {
     type: locationSchema,
     required: [true, 'Location is required']
   },
+  geo: {
+    type: pointSchema
+  },
   image: {
     type: imageSchema,
-    required: [true, 'Image is required']
+    required: [true, 'Image is required'] // Mirrors the cover image of the gallery
+  },
+  images: {
+    type: [galleryImageSchema],
+    default: [],
+    validate: {
+      validator: function(value) {
+        return value.length <= MAX_GALLERY_IMAGES;
+      },
+      message: `A gem cannot have more than ${MAX_GALLERY_IMAGES} images`
+    }
   },
   contact: {
     type: contactSchema,
     default: {}
   },
+  openingHours: {
+    type: openingHoursSchema
+  },
+  priceLevel: {
+    type: Number,
+    min: [MIN_PRICE_LEVEL, `Price level must be between ${MIN_PRICE_LEVEL} and ${MAX_PRICE_LEVEL}`],
+    max: [MAX_PRICE_LEVEL, `Price level must be between ${MIN_PRICE_LEVEL} and ${MAX_PRICE_LEVEL}`],
+    validate: {
+      validator: Number.isInteger,
+      message: 'Price level must be a whole number'
+    }
+  },
+  amenities: {
+    type: [{
+      type: String,
+      enum: {
+        values: AMENITIES,
+        message: `Amenity must be one of: ${AMENITIES.join(', ')}`
+      }
+    }],
+    default: []
+  },
+  tags: {
+    type: [{
+      type: String,
+      maxlength: [MAX_TAG_LENGTH, `Tags cannot exceed ${MAX_TAG_LENGTH} characters`]
+    }],
+    default: [],
+    validate: {
+      validator: function(value) {
+        return value.length <= MAX_TAGS;
+      },
+      message: `A gem cannot have more than ${MAX_TAGS} tags`
+    }
+  },
+  translations: {
+    type: translationsSchema
+  },
   isActive: {
     type: Boolean,
     default: true,
     index: true // Index for filtering active gems
+  },
+  deletedAt: {
+    type: Date,
+    default: null,
+    index: true // Index for trash listing and purging
+  },
+  deletedBy: {
+    type: String, // Admin username who moved the gem to trash
+    default: null
+  },
+  mergedInto: {
+    type: mongoose.Schema.Types.ObjectId, // Surviving gem when this one was merged away
+    ref: 'Gem'
+  },
+  mergedAt: {
+    type: Date
+  },
+  importKey: {
+    type: String, // Stable row key from bulk imports; re-importing the row updates this gem
+    trim: true,
+    maxlength: 200
   }
 }, {
   timestamps: true, // Automatically adds createdAt and updatedAt
+  optimisticConcurrency: true, // Increment __v on every save and reject stale saves
   toJSON: { 
     virtuals: true,
     transform: function(doc, ret) {
+      // Expose the document version for optimistic concurrency as `version`
+      ret.version = ret.__v;
       delete ret.__v;
+
+      // Opening status depends on the current time, so it is computed on output
+      Object.assign(ret, doc.getOpeningStatus());
       return ret;
     }
   },
   toObject: { virtuals: true }
 });
 
-// Create compound index for location-based queries (2dsphere for geospatial queries)
+// Create compound index on the raw coordinates
 gemSchema.index({ 
   'location.latitude': 1, 
   'location.longitude': 1 
 });
 
+// Create 2dsphere index on the GeoJSON point for $near/$geoNear queries
+gemSchema.index({ geo: '2dsphere' });
+
 // Create compound index for category and active status filtering
 gemSchema.index({ 
   category: 1, 
   isActive: 1 
 });
 
+// Create unique index on import keys so re-imported rows update instead of duplicating
+gemSchema.index({ importKey: 1 }, { unique: true, partialFilterExpression: { importKey: { $type: 'string' } } });
+
+// Create index for the offline sync change feed, oldest change first
+gemSchema.index({ updatedAt: 1, _id: 1 });
+
+// Create index for subcategory filtering
+gemSchema.index({ subcategory: 1 });
+
+// Create multikey indexes for amenity and tag filtering
+gemSchema.index({ amenities: 1 });
+gemSchema.index({ tags: 1 });
+
 // Create text index for search functionality
 gemSchema.index({ 
   name: 'text', 
@@ -210,20 +518,290 @@ gemSchema.statics.findActive = function() {
 };
 
 /**
- * Static method to find gems near a location
+ * Static method to find gems near a location, sorted nearest first
+ * maxDistance is in meters
  */
 gemSchema.statics.findNearLocation = function(latitude, longitude, maxDistance = 10000) {
   return this.find({
     isActive: true,
-    'location.latitude': {
-      $gte: latitude - (maxDistance / 111000), // Rough conversion: 1 degree ≈ 111km
-      $lte: latitude + (maxDistance / 111000)
+    geo: {
+      $near: {
+        $geometry: toGeoPoint({ latitude, longitude }),
+        $maxDistance: maxDistance
+      }
+    }
+  });
+};
+
+/**
+ * Static method to find gems near a location with their distance in meters
+ * Returns plain aggregation results sorted nearest first, each with a `distance` field
+ */
+gemSchema.statics.findNearWithDistance = function(latitude, longitude, maxDistance = 10000, filter = {}) {
+  return this.aggregate([
+    {
+      $geoNear: {
+        near: toGeoPoint({ latitude, longitude }),
+        distanceField: 'distance',
+        maxDistance,
+        spherical: true,
+        query: { isActive: true, deletedAt: null, ...filter }
+      }
+    }
+  ]);
+};
+
+/**
+ * Static method to find existing gems (active or inactive) that are likely
+ * duplicates of a new one: a similar name within DUPLICATE_RADIUS_METERS
+ * Returns summaries sorted most similar first, each with distance and similarity
+ */
+gemSchema.statics.findPossibleDuplicates = async function({ name, location }, { excludeId } = {}) {
+  const filter = { isActive: { $in: [true, false] } };
+  if (excludeId) filter._id = { $ne: new mongoose.Types.ObjectId(excludeId) };
+
+  const nearby = await this.findNearWithDistance(location.latitude, location.longitude, DUPLICATE_RADIUS_METERS, filter)
+    .limit(50);
+
+  return nearby
+    .map(gem => ({
+      _id: gem._id,
+      name: gem.name,
+      category: gem.category,
+      address: gem.location.address,
+      isActive: gem.isActive,
+      distance: Math.round(gem.distance),
+      similarity: Math.round(nameSimilarity(name, gem.name) * 100) / 100
+    }))
+    .filter(match => match.similarity >= DUPLICATE_NAME_SIMILARITY)
+    .sort((a, b) => b.similarity - a.similarity || a.distance - b.distance);
+};
+
+/**
+ * Static method to find active gems near another gem for "more like this" suggestions
+ * Gems in the same category come first, then the rest; each group is nearest first
+ * Returns plain aggregation results with `distance` and `sameCategory` fields
+ */
+gemSchema.statics.findRelated = function(gem, maxDistance = RELATED_RADIUS_METERS, limit = 10) {
+  const { latitude, longitude } = gem.location;
+
+  return this.findNearWithDistance(latitude, longitude, maxDistance, { _id: { $ne: gem._id } })
+    .addFields({ sameCategory: { $eq: ['$category', gem.category] } })
+    .sort({ sameCategory: -1, distance: 1, _id: 1 })
+    .limit(limit);
+};
+
+/**
+ * Static method to count active gems per category and subcategory
+ * Returns [{ _id: { category, subcategory }, count }]; subcategory is null for gems without one
+ */
+gemSchema.statics.countByCategory = function() {
+  return this.aggregate([
+    { $match: { isActive: true, deletedAt: null } },
+    {
+      $group: {
+        _id: { category: '$category', subcategory: { $ifNull: ['$subcategory', null] } },
+        count: { $sum: 1 }
+      }
+    }
+  ]);
+};
+
+/**
+ * Static method to count gems per category and active status, leaving out trash
+ * Returns [{ _id: { category, isActive }, count }]
+ */
+gemSchema.statics.countByCategoryAndStatus = function() {
+  return this.aggregate([
+    { $match: { deletedAt: null } },
+    {
+      $group: {
+        _id: { category: '$category', isActive: '$isActive' },
+        count: { $sum: 1 }
+      }
+    }
+  ]);
+};
+
+/**
+ * Static method to count gems created per week (weeks start on Monday, UTC), leaving out trash
+ * Returns [{ _id: weekStart, count }] oldest first; weeks without gems are left out
+ */
+gemSchema.statics.countCreatedPerWeek = function(since) {
+  return this.aggregate([
+    { $match: { createdAt: { $gte: since }, deletedAt: null } },
+    {
+      $group: {
+        _id: { $dateTrunc: { date: '$createdAt', unit: 'week', startOfWeek: 'monday' } },
+        count: { $sum: 1 }
+      }
     },
-    'location.longitude': {
-      $gte: longitude - (maxDistance / (111000 * Math.cos(latitude * Math.PI / 180))),
-      $lte: longitude + (maxDistance / (111000 * Math.cos(latitude * Math.PI / 180)))
+    { $sort: { _id: 1 } }
+  ]);
+};
+
+/**
+ * Static method to summarize the gems matching a list filter in one query:
+ * how many there are, when the latest of them changed and how many have
+ * opening hours. Used to validate cached lists before loading them
+ * Trash is left out explicitly because aggregations skip the query middleware
+ * Returns { count, lastUpdatedAt, withOpeningHours }
+ */
+gemSchema.statics.summarizeList = async function(filter) {
+  const [summary] = await this.aggregate([
+    { $match: { deletedAt: null, ...filter } },
+    {
+      $group: {
+        _id: null,
+        count: { $sum: 1 },
+        lastUpdatedAt: { $max: '$updatedAt' },
+        withOpeningHours: { $sum: { $cond: [HAS_OPENING_HOURS_EXPRESSION, 1, 0] } }
+      }
     }
+  ]).option({ maxTimeMS: 25000 });
+
+  return summary
+    ? { count: summary.count, lastUpdatedAt: summary.lastUpdatedAt, withOpeningHours: summary.withOpeningHours }
+    : { count: 0, lastUpdatedAt: null, withOpeningHours: 0 };
+};
+
+/**
+ * Static method to find soft-deleted gems (active or inactive)
+ */
+gemSchema.statics.findDeleted = function(filter = {}) {
+  return this.find({
+    ...filter,
+    deletedAt: { $ne: null },
+    isActive: { $in: [true, false] }
+  });
+};
+
+/**
+ * Instance method to move the gem to trash
+ */
+gemSchema.methods.softDelete = function(username) {
+  this.deletedAt = new Date();
+  this.deletedBy = username;
+  return this.save();
+};
+
+/**
+ * Instance method to restore the gem from trash
+ */
+gemSchema.methods.restore = function() {
+  this.deletedAt = null;
+  this.deletedBy = null;
+  return this.save();
+};
+
+/**
+ * Instance method to merge another gem's content into this one (does not save)
+ * prefer maps MERGE_FIELDS to 'target' or 'source'; unlisted fields keep this
+ * gem's value unless it is empty. Gallery images, tags and amenities are
+ * combined, and translations follow the gem each text field was taken from
+ * Returns the fields taken from the source and the number of images added
+ */
+gemSchema.methods.absorb = function(source, prefer = {}) {
+  const target = this.toObject({ depopulate: true });
+  const other = source.toObject({ depopulate: true });
+  const isBlank = (value) => value === undefined || value === null ||
+    (typeof value === 'object' && Object.keys(value).length === 0);
+
+  const takenFromSource = MERGE_FIELDS.filter(field => {
+    const choice = prefer[field] || (isBlank(target[field]) && !isBlank(other[field]) ? 'source' : 'target');
+    return choice === 'source';
+  });
+
+  takenFromSource.forEach(field => {
+    this.set(field, other[field]);
+    if (field === 'category') this.subcategory = other.subcategory;
+  });
+
+  // Translations come from the gem the English text came from, gaps filled from the other
+  const translationOwner = { name: 'name', description: 'description', address: 'location' };
+  TRANSLATION_LOCALES.forEach(locale => {
+    TRANSLATABLE_FIELDS.forEach(field => {
+      const fromSource = takenFromSource.includes(translationOwner[field]);
+      const [primary, secondary] = fromSource ? [other, target] : [target, other];
+      const value = primary.translations?.[locale]?.[field] || secondary.translations?.[locale]?.[field];
+      if (value) this.set(`translations.${locale}.${field}`, value);
+    });
+  });
+
+  // Append source images that are not already in the gallery, keeping this gem's cover
+  const knownUrls = new Set(this.images.map(image => image.url));
+  const newImages = other.images
+    .filter(image => !knownUrls.has(image.url))
+    .slice(0, Math.max(0, MAX_GALLERY_IMAGES - this.images.length));
+  newImages.forEach(image => {
+    this.images.push({ ...toImageFields(image), altTranslations: image.altTranslations, isCover: false });
   });
+
+  this.tags = normalizeTags([...target.tags, ...other.tags]).slice(0, MAX_TAGS);
+  this.amenities = [...new Set([...target.amenities, ...other.amenities])];
+
+  return { takenFromSource, imagesAdded: newImages.length };
+};
+
+/**
+ * Instance method to leave the gem as a tombstone pointing at the gem it was merged into
+ * Tombstones are kept out of lists and trash but redirect GET /api/gems/:id
+ */
+gemSchema.methods.markMergedInto = function(targetId, username, { session } = {}) {
+  this.mergedInto = targetId;
+  this.mergedAt = new Date();
+  this.deletedAt = this.mergedAt;
+  this.deletedBy = username;
+  return this.save({ session });
+};
+
+/**
+ * Instance method to get the strong ETag for the current version of the gem
+ */
+gemSchema.methods.getETag = function() {
+  return `"${this._id}-${this.__v}"`;
+};
+
+/**
+ * Instance method to get the strong ETag of a GET response for the gem
+ * The version ETag, extended with the language when it is not English and,
+ * for gems with opening hours, with the time of the next opening or closing
+ * (the response includes isOpenNow, which changes then)
+ */
+gemSchema.methods.getResponseETag = function(locale = DEFAULT_LOCALE, at = new Date()) {
+  const { nextOpenAt, nextCloseAt } = this.getOpeningStatus(at);
+  const nextChange = [nextOpenAt, nextCloseAt].filter(Boolean).map(date => date.getTime());
+  const parts = [this._id, this.__v];
+
+  if (locale !== DEFAULT_LOCALE) parts.push(locale);
+  if (nextChange.length > 0) parts.push(Math.min(...nextChange).toString(36));
+
+  return `"${parts.join('-')}"`;
+};
+
+/**
+ * Instance method to check an If-Match header value against the current ETag
+ * Supports "*" and comma-separated lists; response ETags of the current
+ * version match too; weak ETags never match
+ */
+gemSchema.methods.matchesETag = function(ifMatch) {
+  if (!ifMatch) return false;
+  if (ifMatch.trim() === '*') return true;
+
+  const etag = this.getETag();
+  const responseETagPrefix = `${etag.slice(0, -1)}-`;
+  return ifMatch.split(',').some(candidate => {
+    const value = candidate.trim();
+    return value === etag || (value.startsWith(responseETagPrefix) && value.endsWith('"'));
+  });
+};
+
+/**
+ * Instance method to check whether the gem is open at a given time (default: now)
+ * Returns { isOpenNow, nextOpenAt, nextCloseAt }; isOpenNow is null without opening hours
+ */
+gemSchema.methods.getOpeningStatus = function(at = new Date()) {
+  return getOpeningStatus(this.openingHours, at);
 };
 
 /**
@@ -234,22 +812,61 @@ gemSchema.methods.toggleActive = function() {
   return this.save();
 };
 
+/**
+ * Pre-validate middleware to store the category's display name (e.g. "food" -> "Food")
+ */
+gemSchema.pre('validate', async function() {
+  // Ensure category matches the display name of a known category before validation
+  if (this.category && this.isModified('category')) {
+    this.category = (await categoryService.resolve(this.category)) || this.category;
+  }
+
+  if (this.subcategory) {
+    if (this.isModified('subcategory')) {
+      this.subcategory = (await categoryService.resolveSubcategory(this.category, this.subcategory)) || this.subcategory;
+    } else if (this.isModified('category')) {
+      // Re-check the existing subcategory against the new category
+      this.markModified('subcategory');
+    }
+  }
+});
+
 /**
  * Pre-validate middleware to ensure data consistency
  */
 gemSchema.pre('validate', function(next) {
-  // Ensure category is properly capitalized before validation
-  if (this.category) {
-    this.category = this.category.charAt(0).toUpperCase() + this.category.slice(1).toLowerCase();
-  }
-  
   // Trim whitespace from string fields
   if (this.name) this.name = this.name.trim();
   if (this.description) this.description = this.description.trim();
+
+  // Store tags lowercase and without duplicates, and amenities without duplicates
+  if (this.isModified('tags')) this.tags = normalizeTags(this.tags);
+  if (this.isModified('amenities')) this.amenities = [...new Set(this.amenities)];
+
+  // Keep the GeoJSON point in sync with the location coordinates
+  if (this.location && this.location.latitude !== undefined && this.location.longitude !== undefined) {
+    this.geo = toGeoPoint(this.location);
+  }
+
+  // Keep the gallery cover and the legacy image field in sync
+  syncCoverImage(this);
   
   next();
 });
 
+/**
+ * Pre-update middleware to keep the GeoJSON point in sync on findOneAndUpdate
+ */
+gemSchema.pre('findOneAndUpdate', function(next) {
+  const update = this.getUpdate() || {};
+  const location = update.location || (update.$set && update.$set.location);
+
+  if (location && location.latitude !== undefined && location.longitude !== undefined) {
+    this.set('geo', toGeoPoint(location));
+  }
+  next();
+});
+
 /**
  * Pre-find middleware to exclude inactive gems by default
  */
@@ -261,6 +878,21 @@ gemSchema.pre(/^find/, function(next) {
   next();
 });
 
+/**
+ * Pre-find/count middleware to exclude soft-deleted gems by default
+ */
+gemSchema.pre(/^(find|count)/, function(next) {
+  // Only apply this filter if deletedAt is not explicitly set in the query
+  if (!this.getQuery().hasOwnProperty('deletedAt')) {
+    this.where({ deletedAt: null });
+  }
+  next();
+});
+
 const Gem = mongoose.model('Gem', gemSchema);
 
+Gem.DUPLICATE_RADIUS_METERS = DUPLICATE_RADIUS_METERS;
+Gem.RELATED_RADIUS_METERS = RELATED_RADIUS_METERS;
+Gem.MERGE_FIELDS = MERGE_FIELDS;
+
 module.exports = Gem;
\ No newline at end of file
@@ -1,4 +1,7 @@
 const mongoose = require('mongoose');
+const { MAX_GALLERY_IMAGES, syncCoverImage } = require('../utils/gallery');
+const { MIN_PRICE_LEVEL, MAX_PRICE_LEVEL, AMENITIES, MAX_TAGS, normalizeTags } = require('../utils/gemAttributes');
+const categoryService = require('../services/categoryService');
 
 const gemRequestSchema = new mongoose.Schema({
   // Basic gem information
@@ -19,7 +22,29 @@ const gemRequestSchema = new mongoose.Schema({
   category: {
     type: String,
     required: true,
-    enum: ['Food', 'Craft', 'Viewpoint', 'Shopping', 'Experience']
+    validate: {
+      // Categories are managed by admins in the Category collection
+      validator: async function(v) {
+        return (await categoryService.resolve(v)) === v;
+      },
+      message: () => `Category must be one of: ${categoryService.getCachedNames().join(', ')}`
+    }
+  },
+  subcategory: {
+    type: String,
+    trim: true,
+    validate: {
+      validator: async function(v) {
+        if (!v) return true;
+        return (await categoryService.resolveSubcategory(this.category, v)) === v;
+      },
+      message: (props, doc) => {
+        const names = categoryService.getCachedSubcategoryNames(doc.category);
+        return names.length > 0
+          ? `Subcategory must be one of: ${names.join(', ')}`
+          : `Category '${doc.category}' has no subcategories`;
+      }
+    }
   },
   location: {
     latitude: {
@@ -57,6 +82,57 @@ const gemRequestSchema = new mongoose.Schema({
       maxlength: 100
     }
   },
+  // Ordered gallery; `image` mirrors the cover
+  images: {
+    type: [{
+      url: {
+        type: String,
+        required: true
+      },
+      thumbnail: {
+        type: String
+      },
+      alt: {
+        type: String,
+        required: true,
+        minlength: 5,
+        maxlength: 100
+      },
+      isCover: {
+        type: Boolean,
+        default: false
+      }
+    }],
+    default: [],
+    validate: {
+      validator: function(v) {
+        return v.length <= MAX_GALLERY_IMAGES;
+      },
+      message: `A gem request cannot have more than ${MAX_GALLERY_IMAGES} images`
+    }
+  },
+  priceLevel: {
+    type: Number,
+    min: MIN_PRICE_LEVEL,
+    max: MAX_PRICE_LEVEL
+  },
+  amenities: {
+    type: [{
+      type: String,
+      enum: AMENITIES
+    }],
+    default: []
+  },
+  tags: {
+    type: [String],
+    default: [],
+    validate: {
+      validator: function(v) {
+        return v.length <= MAX_TAGS;
+      },
+      message: `A gem request cannot have more than ${MAX_TAGS} tags`
+    }
+  },
   contact: {
     phone: {
       type: String,
@@ -119,4 +195,66 @@ gemRequestSchema.index({ category: 1, status: 1 });
 // Add geospatial index for location-based queries
 gemRequestSchema.index({ 'location': '2dsphere' });
 
+// Keep the gallery cover and the legacy image field in sync, and tidy tags
+gemRequestSchema.pre('validate', async function() {
+  // Store the subcategory's display name (e.g. "chai-stall" -> "Chai Stall")
+  if (this.subcategory && this.isModified('subcategory')) {
+    this.subcategory = (await categoryService.resolveSubcategory(this.category, this.subcategory)) || this.subcategory;
+  }
+});
+
+gemRequestSchema.pre('validate', function(next) {
+  syncCoverImage(this);
+  if (this.isModified('tags')) this.tags = normalizeTags(this.tags);
+  next();
+});
+
+/**
+ * Static method to count requests per status
+ * Returns [{ _id: status, count }]
+ */
+gemRequestSchema.statics.countByStatus = function() {
+  return this.aggregate([
+    { $group: { _id: '$status', count: { $sum: 1 } } }
+  ]);
+};
+
+/**
+ * Static method to get the average time from submission to review in milliseconds
+ * Returns [{ reviewed, averageReviewTime }], or [] if nothing has been reviewed
+ */
+gemRequestSchema.statics.getAverageReviewTime = function() {
+  return this.aggregate([
+    { $match: { reviewedAt: { $ne: null } } },
+    {
+      $group: {
+        _id: null,
+        reviewed: { $sum: 1 },
+        averageReviewTime: { $avg: { $subtract: ['$reviewedAt', '$submittedAt'] } }
+      }
+    }
+  ]);
+};
+
+/**
+ * Static method to find the admins who reviewed the most requests
+ * Returns [{ _id: reviewedBy, reviewed, approved, rejected, averageReviewTime }]
+ */
+gemRequestSchema.statics.findTopReviewers = function(limit = 5) {
+  return this.aggregate([
+    { $match: { reviewedBy: { $ne: null }, reviewedAt: { $ne: null } } },
+    {
+      $group: {
+        _id: '$reviewedBy',
+        reviewed: { $sum: 1 },
+        approved: { $sum: { $cond: [{ $eq: ['$status', 'approved'] }, 1, 0] } },
+        rejected: { $sum: { $cond: [{ $eq: ['$status', 'rejected'] }, 1, 0] } },
+        averageReviewTime: { $avg: { $subtract: ['$reviewedAt', '$submittedAt'] } }
+      }
+    },
+    { $sort: { reviewed: -1, _id: 1 } },
+    { $limit: limit }
+  ]);
+};
+
 module.exports = mongoose.model('GemRequest', gemRequestSchema);
\ No newline at end of file
@@ -0,0 +1,116 @@
+const mongoose = require('mongoose');
+const { diffPaths } = require('../utils/objectPaths');
+
+/**
+ * Gem fields that are derived or managed by the system and therefore
+ * left out of revision snapshots
+ */
+const UNTRACKED_FIELDS = ['_id', '__v', 'id', 'geo', 'createdAt', 'updatedAt', 'deletedAt', 'deletedBy'];
+
+/**
+ * Single field change within a revision
+ */
+const changeSchema = new mongoose.Schema({
+  path: {
+    type: String,
+    required: true
+  },
+  from: mongoose.Schema.Types.Mixed,
+  to: mongoose.Schema.Types.Mixed
+}, { _id: false });
+
+/**
+ * Gem revision schema
+ * One document per change made to a gem, holding the field diff and
+ * a snapshot of the gem's editable fields after the change
+ */
+const gemRevisionSchema = new mongoose.Schema({
+  gem: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Gem',
+    required: [true, 'Gem reference is required']
+  },
+  action: {
+    type: String,
+    required: [true, 'Action is required'],
+    enum: {
+      values: ['create', 'update', 'activate', 'deactivate', 'delete', 'restore', 'revert', 'merge'],
+      message: 'Action must be one of: create, update, activate, deactivate, delete, restore, revert, merge'
+    }
+  },
+  changes: {
+    type: [changeSchema],
+    default: []
+  },
+  snapshot: {
+    type: mongoose.Schema.Types.Mixed,
+    required: [true, 'Snapshot is required']
+  },
+  gemVersion: {
+    type: Number
+  },
+  changedBy: {
+    type: String,
+    default: 'admin'
+  },
+  revertedFrom: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'GemRevision'
+  },
+  mergedGem: {
+    type: mongoose.Schema.Types.ObjectId, // The other gem of a merge (source on the survivor, survivor on the source)
+    ref: 'Gem'
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+  toJSON: {
+    transform: function(doc, ret) {
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+// Index for listing a gem's history, newest first
+gemRevisionSchema.index({ gem: 1, createdAt: -1 });
+
+/**
+ * Static method to take a snapshot of a gem's editable fields
+ */
+gemRevisionSchema.statics.snapshot = function(gem) {
+  const snapshot = gem.toObject({ virtuals: false, transform: false, depopulate: true });
+  UNTRACKED_FIELDS.forEach(field => delete snapshot[field]);
+  return snapshot;
+};
+
+/**
+ * Static method to record a revision for a gem change
+ * before is the snapshot taken prior to the change (omit for creates);
+ * pass session to record it as part of a transaction
+ */
+gemRevisionSchema.statics.record = async function(gem, action, { before, changedBy, revertedFrom, mergedGem, session } = {}) {
+  const snapshot = this.snapshot(gem);
+
+  const [revision] = await this.create([{
+    gem: gem._id,
+    action,
+    changes: diffPaths(before || {}, snapshot),
+    snapshot,
+    gemVersion: gem.__v,
+    changedBy,
+    revertedFrom,
+    mergedGem
+  }], { session });
+  return revision;
+};
+
+/**
+ * Static method to list a gem's revisions, newest first
+ */
+gemRevisionSchema.statics.findByGem = function(gemId) {
+  return this.find({ gem: gemId }).sort({ createdAt: -1, _id: -1 });
+};
+
+const GemRevision = mongoose.model('GemRevision', gemRevisionSchema);
+
+module.exports = GemRevision;
\ No newline at end of file
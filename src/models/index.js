@@ -4,7 +4,11 @@
  */
 
 const Gem = require('./Gem');
+const GemRevision = require('./GemRevision');
+const Category = require('./Category');
 
 module.exports = {
-  Gem
+  Gem,
+  GemRevision,
+  Category
 };
\ No newline at end of file
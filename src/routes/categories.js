@@ -0,0 +1,90 @@
+const express = require('express');
+const {
+  getAllCategories,
+  getCategoryBySlug,
+  createCategory,
+  updateCategory,
+  deleteCategory,
+  createSubcategory,
+  updateSubcategory,
+  deleteSubcategory
+} = require('../controllers/categoriesController');
+const { authenticateToken, requireAdmin } = require('../middleware/auth');
+
+const router = express.Router();
+
+/**
+ * @route   GET /api/categories
+ * @desc    Get the category tree (categories with their subcategories) with active gem counts per node
+ * @access  Public
+ */
+router.get('/', getAllCategories);
+
+/**
+ * @route   GET /api/categories/:slug
+ * @desc    Get a category by slug
+ * @access  Public
+ * @param   slug - Category slug, e.g. "food"
+ */
+router.get('/:slug', getCategoryBySlug);
+
+/**
+ * @route   POST /api/categories
+ * @desc    Create a new category
+ * @access  Private (Admin only)
+ * @headers Authorization: Bearer <token>
+ * @body    { name, slug?, icon?, sortOrder?, subcategories?: [{ name, slug?, icon?, sortOrder? }] } - slugs are derived from names when omitted
+ */
+router.post('/', authenticateToken, requireAdmin, createCategory);
+
+/**
+ * @route   PATCH /api/categories/:slug
+ * @desc    Update a category; a new name is applied to all gems and gem requests using it
+ * @access  Private (Admin only)
+ * @headers Authorization: Bearer <token>
+ * @param   slug - Category slug
+ * @body    Any of { name, slug, icon, sortOrder } - subcategories have their own endpoints
+ */
+router.patch('/:slug', authenticateToken, requireAdmin, updateCategory);
+
+/**
+ * @route   DELETE /api/categories/:slug
+ * @desc    Delete a category that no gem or pending gem request uses
+ * @access  Private (Admin only)
+ * @headers Authorization: Bearer <token>
+ * @param   slug - Category slug
+ */
+router.delete('/:slug', authenticateToken, requireAdmin, deleteCategory);
+
+/**
+ * @route   POST /api/categories/:slug/subcategories
+ * @desc    Add a subcategory to a category
+ * @access  Private (Admin only)
+ * @headers Authorization: Bearer <token>
+ * @param   slug - Category slug
+ * @body    { name, slug?, icon?, sortOrder? } - slug is derived from name when omitted
+ */
+router.post('/:slug/subcategories', authenticateToken, requireAdmin, createSubcategory);
+
+/**
+ * @route   PATCH /api/categories/:slug/subcategories/:subSlug
+ * @desc    Update a subcategory; a new name is applied to all gems and gem requests using it
+ * @access  Private (Admin only)
+ * @headers Authorization: Bearer <token>
+ * @param   slug - Category slug
+ * @param   subSlug - Subcategory slug
+ * @body    Any of { name, slug, icon, sortOrder }
+ */
+router.patch('/:slug/subcategories/:subSlug', authenticateToken, requireAdmin, updateSubcategory);
+
+/**
+ * @route   DELETE /api/categories/:slug/subcategories/:subSlug
+ * @desc    Delete a subcategory that no gem or pending gem request uses
+ * @access  Private (Admin only)
+ * @headers Authorization: Bearer <token>
+ * @param   slug - Category slug
+ * @param   subSlug - Subcategory slug
+ */
+router.delete('/:slug/subcategories/:subSlug', authenticateToken, requireAdmin, deleteSubcategory);
+
+module.exports = router;
\ No newline at end of file
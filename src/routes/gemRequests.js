@@ -2,6 +2,7 @@ const express = require('express');
 const { 
   submitGemRequest, 
   getAllGemRequests,
+  exportGemRequests,
   getGemRequestById,
   approveGemRequest, 
   rejectGemRequest 
@@ -30,6 +31,17 @@ router.post('/', submitGemRequest);
  */
 router.get('/', authenticateToken, requireAdmin, getAllGemRequests);
 
+/**
+ * @route   GET /api/gem-requests/export
+ * @desc    Download all matching gem requests as CSV or NDJSON, streamed from the database
+ * @access  Private (Admin only)
+ * @headers Authorization: Bearer <token>
+ * @query   status - Optional status filter (pending, approved, rejected)
+ * @query   category - Optional category filter
+ * @query   format - csv (default) or ndjson
+ */
+router.get('/export', authenticateToken, requireAdmin, exportGemRequests);
+
 /**
  * @route   GET /api/gem-requests/:id
  * @desc    Get a specific gem request by ID
@@ -41,10 +53,11 @@ router.get('/:id', authenticateToken, requireAdmin, getGemRequestById);
 
 /**
  * @route   PUT /api/gems/requests/:id/approve
- * @desc    Approve a gem request and create actual gem
+ * @desc    Approve a gem request and create actual gem; 409 POSSIBLE_DUPLICATE if a similarly named gem exists nearby
  * @access  Private (Admin only)
  * @headers Authorization: Bearer <token>
  * @param   id - Request ObjectId
+ * @query   force - Set to true to approve despite possible duplicates
  * @body    { reviewNotes?: string }
  */
 router.put('/:id/approve', authenticateToken, requireAdmin, approveGemRequest);
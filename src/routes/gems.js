@@ -1,51 +1,327 @@
 const express = require('express');
-const { getAllGems, getGemById, createGem, updateGem, deleteGem } = require('../controllers/gemsController');
-const { authenticateToken, requireAdmin } = require('../middleware/auth');
+const {
+  getAllGems,
+  searchGems,
+  getGemChanges,
+  getGemById,
+  getRelatedGems,
+  createGem,
+  importGems,
+  bulkUpdateGems,
+  updateGem,
+  patchGem,
+  deleteGem,
+  setGemActiveStatus,
+  getTrashedGems,
+  restoreGem,
+  purgeTrashedGems,
+  exportGems,
+  getGemHistory,
+  revertGem,
+  addGemImage,
+  reorderGemImages,
+  removeGemImage,
+  getGemTranslations,
+  setGemTranslation,
+  deleteGemTranslation,
+  mergeGems
+} = require('../controllers/gemsController');
+const { authenticateToken, optionalAuth, requireAdmin } = require('../middleware/auth');
 
 const router = express.Router();
 
 /**
  * @route   GET /api/gems
- * @desc    Get all active gems with optional category filtering
+ * @desc    Get all active gems with filtering, sorting, pagination and "near me" search
+ * @access  Public (includeInactive requires admin)
+ * @headers Authorization: Bearer <token> (optional)
+ * @headers Accept-Language (optional) - Preferred content language, e.g. "ur-PK,ur;q=0.9"
+ * @query   includeInactive - Include inactive gems (true/false, admin only)
+ * @query   category - Optional category filter, comma-separated or repeated (see GET /api/categories)
+ * @query   subcategory - Optional subcategory filter, comma-separated or repeated (e.g. Wazwan,Bakery)
+ * @query   hasWhatsapp, hasPhone - Optional contact filters (true/false)
+ * @query   createdAfter, createdBefore, updatedAfter, updatedBefore - Optional ISO 8601 date ranges
+ * @query   priceLevel - Optional price levels 1-4, comma-separated or repeated
+ * @query   amenities - Optional amenities, all must match (wheelchair_access, parking, card_payments, veg_only, family_friendly)
+ * @query   tags - Optional tags, any may match
+ * @query   bbox - Optional bounding box (minLng,minLat,maxLng,maxLat)
+ * @query   openNow - Optional; true for gems open now, false for closed (Asia/Kolkata time)
+ * @query   lat, lng - Optional coordinates; adds distance in meters to each gem
+ * @query   radius - Search radius in meters when lat/lng are given (default: 5000, max: 50000)
+ * @query   sort - newest (default), updated, name or distance (requires lat/lng)
+ * @query   page - Page number for offset pagination (default: 1)
+ * @query   limit - Items per page (default: 20, max: 100)
+ * @query   cursor - Opaque cursor from pagination.nextCursor (alternative to page)
+ * @query   lang - Optional content language (en, ur, hi, ks); overrides Accept-Language
+ * @query   format - json (default) or geojson for a FeatureCollection of every matching gem (no pagination)
+ */
+router.get('/', optionalAuth, getAllGems);
+
+/**
+ * @route   GET /api/gems/search
+ * @desc    Search gems by name and description, ranked by relevance
+ * @access  Public
+ * @query   q - Search text (2-100 characters); short or misspelled names fall back to fuzzy matching
+ * @query   category - Optional category filter
+ * @query   limit - Maximum results (default: 20, max: 100)
+ * @query   lang - Optional content language (en, ur, hi, ks); overrides Accept-Language
+ */
+router.get('/search', searchGems);
+
+/**
+ * @route   GET /api/gems/changes
+ * @desc    Get gems changed since a sync point for offline caches, oldest change first: active gems in
+ *          data.changed and inactive, trashed or merged gems in data.tombstones, with a syncToken for the next call.
+ *          410 SYNC_EXPIRED if the sync point is older than the trash retention window
  * @access  Public
- * @query   category - Optional category filter (Food, Craft, Viewpoint, Shopping, Experience)
+ * @query   since - Sync token from the last call or an ISO 8601 timestamp; omit to download every gem
+ * @query   limit - Maximum gems per call (default: 100, max: 500); call again while hasMore is true
+ * @query   lang - Optional content language (en, ur, hi, ks); overrides Accept-Language
  */
-router.get('/', getAllGems);
+router.get('/changes', getGemChanges);
+
+/**
+ * @route   GET /api/gems/trash
+ * @desc    List soft-deleted gems, most recently deleted first
+ * @access  Private (Admin only)
+ * @headers Authorization: Bearer <token>
+ * @query   page - Page number for pagination (default: 1)
+ * @query   limit - Items per page (default: 20, max: 100)
+ */
+router.get('/trash', authenticateToken, requireAdmin, getTrashedGems);
+
+/**
+ * @route   DELETE /api/gems/trash
+ * @desc    Permanently delete gems that have been in trash longer than the retention window
+ * @access  Private (Admin only)
+ * @headers Authorization: Bearer <token>
+ * @query   olderThanDays - Retention window in days, at least the default (default: GEM_TRASH_RETENTION_DAYS or 30)
+ */
+router.delete('/trash', authenticateToken, requireAdmin, purgeTrashedGems);
+
+/**
+ * @route   GET /api/gems/export
+ * @desc    Download all gems matching the list filters as CSV or NDJSON, streamed from the database.
+ *          The CSV header uses the same dotted field paths as POST /api/gems/import
+ * @access  Private (Admin only)
+ * @headers Authorization: Bearer <token>
+ * @query   format - csv (default) or ndjson
+ * @query   category, tags, openNow, bbox, lat/lng/radius, ... - Any filter of GET /api/gems
+ * @query   includeInactive - Set to true to include inactive gems
+ * @query   includeDeleted - Set to true to include gems in trash
+ */
+router.get('/export', authenticateToken, requireAdmin, exportGems);
 
 /**
  * @route   GET /api/gems/:id
- * @desc    Get a specific gem by ID
+ * @desc    Get a specific gem by ID; the ETag response header identifies its current version.
+ *          A gem merged into another answers 308 with a Location header pointing at the surviving gem
+ * @access  Public (admins can also view inactive gems)
+ * @headers Authorization: Bearer <token> (optional)
+ * @headers Accept-Language (optional) - Preferred content language, e.g. "ur-PK,ur;q=0.9"
+ * @param   id - Gem ObjectId
+ * @query   lang - Optional content language (en, ur, hi, ks); overrides Accept-Language
+ */
+router.get('/:id', optionalAuth, getGemById);
+
+/**
+ * @route   GET /api/gems/:id/related
+ * @desc    Get active gems within walking distance of a gem, same category first, each with its distance in meters
  * @access  Public
+ * @headers Accept-Language (optional) - Preferred content language, e.g. "ur-PK,ur;q=0.9"
  * @param   id - Gem ObjectId
+ * @query   radius - Walking distance in meters (default: 1000, max: 5000)
+ * @query   limit - Maximum number of gems (default: 10, max: 50)
+ * @query   lang - Optional content language (en, ur, hi, ks); overrides Accept-Language
  */
-router.get('/:id', getGemById);
+router.get('/:id/related', getRelatedGems);
 
 /**
  * @route   POST /api/gems
- * @desc    Create a new gem
+ * @desc    Create a new gem; 409 POSSIBLE_DUPLICATE if a similarly named gem exists nearby
  * @access  Private (Admin only)
  * @headers Authorization: Bearer <token>
+ * @query   force - Set to true to create the gem despite possible duplicates
  * @body    Gem object with all required fields
  */
 router.post('/', authenticateToken, requireAdmin, createGem);
 
+/**
+ * @route   POST /api/gems/import
+ * @desc    Bulk import gems from CSV or JSON; each row is validated like POST /api/gems and valid rows
+ *          are created, or updated when a gem with the same import key exists, in one transaction
+ * @access  Private (Admin only)
+ * @headers Authorization: Bearer <token>
+ * @headers Content-Type: application/json or text/csv
+ * @query   dryRun - Set to true to validate the rows and report per-row results without saving
+ * @query   force - Set to true to create rows despite possible duplicates
+ * @body    JSON array of gems (or { gems: [...] }), or CSV with a header row of field paths
+ *          (name, description, category, location.latitude, image.url, tags, ...); an optional
+ *          importKey per row identifies it across imports (default: name and coordinates)
+ */
+router.post('/import', authenticateToken, requireAdmin, express.text({ type: 'text/csv' }), importGems);
+
+/**
+ * @route   POST /api/gems/bulk
+ * @desc    Apply one operation to up to 100 gems, reporting the outcome per ID
+ *          (updated, unchanged, not_found or failed); each change is recorded in the gem's history
+ * @access  Private (Admin only)
+ * @headers Authorization: Bearer <token>
+ * @body    { ids: string[], operation: 'activate' | 'deactivate' | 'delete' | 'setCategory' | 'addTag',
+ *            category?: string, subcategory?: string | null, tag?: string }
+ */
+router.post('/bulk', authenticateToken, requireAdmin, bulkUpdateGems);
+
 /**
  * @route   PUT /api/gems/:id
  * @desc    Update an existing gem
  * @access  Private (Admin only)
  * @headers Authorization: Bearer <token>
+ * @headers If-Match: <etag> - Required; 412 with the current gem if it changed since it was read
  * @param   id - Gem ObjectId
  * @body    Updated gem object
  */
 router.put('/:id', authenticateToken, requireAdmin, updateGem);
 
+/**
+ * @route   PATCH /api/gems/:id
+ * @desc    Partially update a gem; nested objects and dot-path keys are merged
+ * @access  Private (Admin only)
+ * @headers Authorization: Bearer <token>
+ * @headers If-Match: <etag> - Required; 412 with the current gem if it changed since it was read
+ * @param   id - Gem ObjectId
+ * @body    Any subset of gem fields, e.g. { "contact.phone": "+91..." } or { location: { address } };
+ *          a new category without a subcategory clears the old subcategory
+ */
+router.patch('/:id', authenticateToken, requireAdmin, patchGem);
+
 /**
  * @route   DELETE /api/gems/:id
- * @desc    Delete a gem
+ * @desc    Move a gem to trash (soft delete)
  * @access  Private (Admin only)
  * @headers Authorization: Bearer <token>
+ * @headers If-Match: <etag> - Required; 412 with the current gem if it changed since it was read
  * @param   id - Gem ObjectId
  */
 router.delete('/:id', authenticateToken, requireAdmin, deleteGem);
 
+/**
+ * @route   PATCH /api/gems/:id/active
+ * @desc    Set or toggle a gem's active status (e.g. hide during winter closure)
+ * @access  Private (Admin only)
+ * @headers Authorization: Bearer <token>
+ * @headers If-Match: <etag> - Required; 412 with the current gem if it changed since it was read
+ * @param   id - Gem ObjectId
+ * @body    { isActive?: boolean } - Omit to toggle the current status
+ */
+router.patch('/:id/active', authenticateToken, requireAdmin, setGemActiveStatus);
+
+/**
+ * @route   POST /api/gems/:id/restore
+ * @desc    Restore a gem from trash
+ * @access  Private (Admin only)
+ * @headers Authorization: Bearer <token>
+ * @headers If-Match: <etag> - Required; 412 with the current gem if it changed since it was read
+ * @param   id - Gem ObjectId
+ */
+router.post('/:id/restore', authenticateToken, requireAdmin, restoreGem);
+
+/**
+ * @route   POST /api/gems/:id/images
+ * @desc    Add an image to a gem's gallery
+ * @access  Private (Admin only)
+ * @headers Authorization: Bearer <token>
+ * @headers If-Match: <etag> - Required; 412 with the current gem if it changed since it was read
+ * @param   id - Gem ObjectId
+ * @body    { url, thumbnail?, alt, isCover?: boolean, position?: number } - Appended to the end by default
+ */
+router.post('/:id/images', authenticateToken, requireAdmin, addGemImage);
+
+/**
+ * @route   PUT /api/gems/:id/images/order
+ * @desc    Reorder a gem's gallery and optionally choose a new cover image
+ * @access  Private (Admin only)
+ * @headers Authorization: Bearer <token>
+ * @headers If-Match: <etag> - Required; 412 with the current gem if it changed since it was read
+ * @param   id - Gem ObjectId
+ * @body    { order: [imageId, ...], coverImageId?: imageId } - order must list every gallery image
+ */
+router.put('/:id/images/order', authenticateToken, requireAdmin, reorderGemImages);
+
+/**
+ * @route   DELETE /api/gems/:id/images/:imageId
+ * @desc    Remove an image from a gem's gallery; the next image becomes cover if needed
+ * @access  Private (Admin only)
+ * @headers Authorization: Bearer <token>
+ * @headers If-Match: <etag> - Required; 412 with the current gem if it changed since it was read
+ * @param   id - Gem ObjectId
+ * @param   imageId - Gallery image ObjectId
+ */
+router.delete('/:id/images/:imageId', authenticateToken, requireAdmin, removeGemImage);
+
+/**
+ * @route   GET /api/gems/:id/history
+ * @desc    List a gem's revisions (create, update, activate/deactivate, delete, restore, revert, merge), newest first
+ * @access  Private (Admin only)
+ * @headers Authorization: Bearer <token>
+ * @param   id - Gem ObjectId
+ * @query   page - Page number for pagination (default: 1)
+ * @query   limit - Items per page (default: 20, max: 100)
+ */
+router.get('/:id/history', authenticateToken, requireAdmin, getGemHistory);
+
+/**
+ * @route   POST /api/gems/:id/revert/:revisionId
+ * @desc    Revert a gem to the state recorded in one of its revisions
+ * @access  Private (Admin only)
+ * @headers Authorization: Bearer <token>
+ * @headers If-Match: <etag> - Required; 412 with the current gem if it changed since it was read
+ * @param   id - Gem ObjectId
+ * @param   revisionId - GemRevision ObjectId from the gem's history
+ */
+router.post('/:id/revert/:revisionId', authenticateToken, requireAdmin, revertGem);
+
+/**
+ * @route   GET /api/gems/:id/translations
+ * @desc    Get a gem's Urdu, Hindi and Kashmiri translations with their text direction and missing fields
+ * @access  Private (Admin only)
+ * @headers Authorization: Bearer <token>
+ * @param   id - Gem ObjectId
+ */
+router.get('/:id/translations', authenticateToken, requireAdmin, getGemTranslations);
+
+/**
+ * @route   PUT /api/gems/:id/translations/:locale
+ * @desc    Set (replace) a gem's translation for one locale
+ * @access  Private (Admin only)
+ * @headers Authorization: Bearer <token>
+ * @headers If-Match: <etag> - Required; 412 with the current gem if it changed since it was read
+ * @param   id - Gem ObjectId
+ * @param   locale - ur, hi or ks
+ * @body    { name?, description?, address?, imageAlts?: { <imageId>: alt } } - omitted fields fall back to English
+ */
+router.put('/:id/translations/:locale', authenticateToken, requireAdmin, setGemTranslation);
+
+/**
+ * @route   DELETE /api/gems/:id/translations/:locale
+ * @desc    Remove a gem's translation for one locale
+ * @access  Private (Admin only)
+ * @headers Authorization: Bearer <token>
+ * @headers If-Match: <etag> - Required; 412 with the current gem if it changed since it was read
+ * @param   id - Gem ObjectId
+ * @param   locale - ur, hi or ks
+ */
+router.delete('/:id/translations/:locale', authenticateToken, requireAdmin, deleteGemTranslation);
+
+/**
+ * @route   POST /api/gems/:id/merge
+ * @desc    Merge a duplicate gem into this one; the duplicate's old ID redirects (308) to this gem
+ * @access  Private (Admin only)
+ * @headers Authorization: Bearer <token>
+ * @headers If-Match: <etag> - Required; 412 with the current gem if it changed since it was read
+ * @param   id - ObjectId of the gem that is kept
+ * @body    { sourceId, prefer?: { <field>: 'target' | 'source' } } - fields: name, description, category, location, contact, priceLevel, openingHours
+ */
+router.post('/:id/merge', authenticateToken, requireAdmin, mergeGems);
+
 module.exports = router;
\ No newline at end of file
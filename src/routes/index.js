@@ -3,18 +3,37 @@ const gemsRoutes = require('./gems');
 const authRoutes = require('./auth');
 const imageRoutes = require('./images');
 const gemRequestRoutes = require('./gemRequests');
+const categoryRoutes = require('./categories');
+const statsRoutes = require('./stats');
+const { getGemsGeoJSON } = require('../controllers/gemsController');
+const { optionalAuth } = require('../middleware/auth');
 
 const router = express.Router();
 
 // Mount authentication routes
 router.use('/auth', authRoutes);
 
+/**
+ * @route   GET /api/gems.geojson
+ * @desc    Get all active gems as a GeoJSON FeatureCollection (same as GET /api/gems?format=geojson)
+ * @access  Public (includeInactive requires admin)
+ * @headers Authorization: Bearer <token> (optional)
+ * @query   Same filters as GET /api/gems, e.g. category and bbox; sorting and pagination are ignored
+ */
+router.get('/gems.geojson', optionalAuth, getGemsGeoJSON);
+
 // Mount gems routes
 router.use('/gems', gemsRoutes);
 
 // Mount gem request routes
 router.use('/gem-requests', gemRequestRoutes);
 
+// Mount category routes
+router.use('/categories', categoryRoutes);
+
+// Mount dashboard statistics routes
+router.use('/stats', statsRoutes);
+
 // Mount image routes
 router.use('/images', imageRoutes);
 
@@ -31,18 +50,53 @@ router.get('/', (req, res) => {
         'POST /api/auth/logout': 'Logout (requires authentication)'
       },
       gems: {
-        'GET /api/gems': 'Get all active gems with optional category filtering',
-        'GET /api/gems/:id': 'Get a specific gem by ID',
+        'GET /api/gems': 'Get all active gems with filtering (incl. openNow), sorting, pagination and lat/lng/radius "near me" search',
+        'GET /api/gems.geojson': 'Get active gems as a GeoJSON FeatureCollection (also GET /api/gems?format=geojson)',
+        'GET /api/gems/search': 'Search gems by name and description with fuzzy fallback',
+        'GET /api/gems/changes': 'Get gems changed or removed since a sync token, for offline caches',
+        'GET /api/gems/:id': 'Get a specific gem by ID (localized via lang or Accept-Language)',
+        'GET /api/gems/:id/related': 'Get gems within walking distance of a gem, same category first',
         'POST /api/gems': 'Create a new gem (Admin only)',
+        'POST /api/gems/import': 'Bulk import gems from CSV or a JSON array, with dry run (Admin only)',
+        'POST /api/gems/bulk': 'Activate, deactivate, delete, re-categorize or tag many gems at once (Admin only)',
         'PUT /api/gems/:id': 'Update an existing gem (Admin only)',
-        'DELETE /api/gems/:id': 'Delete a gem (Admin only)'
+        'PATCH /api/gems/:id': 'Partially update a gem with dot-path merging (Admin only)',
+        'DELETE /api/gems/:id': 'Move a gem to trash (Admin only)',
+        'PATCH /api/gems/:id/active': 'Set or toggle a gem active status (Admin only)',
+        'GET /api/gems/trash': 'List gems in trash (Admin only)',
+        'POST /api/gems/:id/restore': 'Restore a gem from trash (Admin only)',
+        'DELETE /api/gems/trash': 'Permanently purge gems past the trash retention window (Admin only)',
+        'GET /api/gems/export': 'Download gems as CSV or NDJSON, optionally with inactive and trashed gems (Admin only)',
+        'POST /api/gems/:id/images': 'Add an image to a gem gallery (Admin only)',
+        'PUT /api/gems/:id/images/order': 'Reorder a gem gallery and set its cover image (Admin only)',
+        'DELETE /api/gems/:id/images/:imageId': 'Remove an image from a gem gallery (Admin only)',
+        'GET /api/gems/:id/history': 'List the edit history of a gem (Admin only)',
+        'POST /api/gems/:id/revert/:revisionId': 'Revert a gem to an earlier revision (Admin only)',
+        'GET /api/gems/:id/translations': 'Get the translations of a gem (Admin only)',
+        'PUT /api/gems/:id/translations/:locale': 'Set a gem translation for ur, hi or ks (Admin only)',
+        'DELETE /api/gems/:id/translations/:locale': 'Remove a gem translation (Admin only)',
+        'POST /api/gems/:id/merge': 'Merge a duplicate gem into a gem (Admin only)'
+      },
+      categories: {
+        'GET /api/categories': 'Get the category tree with gem counts',
+        'GET /api/categories/:slug': 'Get a category by slug',
+        'POST /api/categories': 'Create a category (Admin only)',
+        'PATCH /api/categories/:slug': 'Update or rename a category (Admin only)',
+        'DELETE /api/categories/:slug': 'Delete an unused category (Admin only)',
+        'POST /api/categories/:slug/subcategories': 'Add a subcategory (Admin only)',
+        'PATCH /api/categories/:slug/subcategories/:subSlug': 'Update or rename a subcategory (Admin only)',
+        'DELETE /api/categories/:slug/subcategories/:subSlug': 'Delete an unused subcategory (Admin only)'
       },
       gemRequests: {
         'POST /api/gem-requests': 'Submit a new gem request from mobile users (Public)',
         'GET /api/gem-requests': 'Get all gem requests for admin review (Admin only)',
+        'GET /api/gem-requests/export': 'Download gem requests as CSV or NDJSON (Admin only)',
         'PUT /api/gem-requests/:id/approve': 'Approve a gem request and create gem (Admin only)',
         'PUT /api/gem-requests/:id/reject': 'Reject a gem request (Admin only)'
       },
+      stats: {
+        'GET /api/stats': 'Get gem and gem request statistics for the admin dashboard (Admin only)'
+      },
       images: {
         'POST /api/images/upload': 'Upload and process image with multiple sizes (Admin only)',
         'DELETE /api/images/:fileId': 'Delete image and all its size variants (Admin only)',
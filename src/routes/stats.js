@@ -0,0 +1,18 @@
+const express = require('express');
+const { getStats } = require('../controllers/statsController');
+const { authenticateToken, requireAdmin } = require('../middleware/auth');
+
+const router = express.Router();
+
+/**
+ * @route   GET /api/stats
+ * @desc    Get dashboard statistics: gems by category and active status, gems created per week,
+ *          gem requests by status, average time to review and top reviewers
+ * @access  Private (Admin only)
+ * @headers Authorization: Bearer <token>
+ * @query   weeks - Number of weeks of gem creation counts, including the current one (default: 12, max: 52)
+ * @query   topReviewers - Number of reviewers to list (default: 5, max: 50)
+ */
+router.get('/', authenticateToken, requireAdmin, getStats);
+
+module.exports = router;
\ No newline at end of file
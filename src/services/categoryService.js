@@ -0,0 +1,128 @@
+const Category = require('../models/Category');
+
+/**
+ * Order categories or subcategories for display
+ */
+const byDisplayOrder = (a, b) => (a.sortOrder || 0) - (b.sortOrder || 0) || a.name.localeCompare(b.name);
+
+/**
+ * Find a category or subcategory by case-insensitive name or slug
+ */
+const findByNameOrSlug = (list, value) => {
+  if (typeof value !== 'string') return undefined;
+
+  const needle = value.trim().toLowerCase();
+  return list.find(item => item.name.toLowerCase() === needle || item.slug === needle);
+};
+
+/**
+ * Category service
+ * Caches the category list in memory so validation does not hit the database
+ * on every request. Admin changes invalidate the cache of the instance that
+ * made them; other (serverless) instances pick them up when their cache expires
+ */
+class CategoryService {
+  constructor() {
+    this.categories = null;
+    this.loadedAt = 0;
+    this.loading = null;
+    this.cacheTtlMs = (parseInt(process.env.CATEGORY_CACHE_TTL_SECONDS) || 60) * 1000;
+  }
+
+  /**
+   * Get all categories in display order (cached)
+   */
+  async getCategories() {
+    if (this.categories && Date.now() - this.loadedAt < this.cacheTtlMs) {
+      return this.categories;
+    }
+
+    // Share one database load between concurrent callers
+    if (!this.loading) {
+      this.loading = (async () => {
+        await Category.ensureDefaults();
+        const categories = await Category.findSorted().lean();
+        this.categories = categories.map(category => ({
+          ...category,
+          subcategories: [...(category.subcategories || [])].sort(byDisplayOrder)
+        }));
+        this.loadedAt = Date.now();
+        return this.categories;
+      })().finally(() => {
+        this.loading = null;
+      });
+    }
+
+    return this.loading;
+  }
+
+  /**
+   * Get the display names of all categories
+   */
+  async getNames() {
+    const categories = await this.getCategories();
+    return categories.map(category => category.name);
+  }
+
+  /**
+   * Get the category names from the last load without touching the database
+   * Falls back to the default categories before the first load
+   */
+  getCachedNames() {
+    const categories = this.categories || Category.DEFAULT_CATEGORIES;
+    return categories.map(category => category.name);
+  }
+
+  /**
+   * Resolve a category name or slug case-insensitively to its display name
+   * Returns null if no such category exists
+   */
+  async resolve(value) {
+    const match = findByNameOrSlug(await this.getCategories(), value);
+    return match ? match.name : null;
+  }
+
+  /**
+   * Resolve a subcategory name or slug case-insensitively to its display name
+   * Returns null unless it is a subcategory of the given category
+   */
+  async resolveSubcategory(category, value) {
+    const parent = findByNameOrSlug(await this.getCategories(), category);
+    const match = parent && findByNameOrSlug(parent.subcategories, value);
+    return match ? match.name : null;
+  }
+
+  /**
+   * Get the subcategory names of a category from the last load without touching the database
+   */
+  getCachedSubcategoryNames(category) {
+    const parent = findByNameOrSlug(this.categories || Category.DEFAULT_CATEGORIES, category);
+    return parent && parent.subcategories ? parent.subcategories.map(subcategory => subcategory.name) : [];
+  }
+
+  /**
+   * Joi validation context for schemas using Joi.in('$categories') or Joi.in('$subcategories')
+   */
+  async getValidationContext() {
+    const categories = await this.getCategories();
+    const categoryNames = categories.map(category => category.name);
+    const subcategoryNames = [...new Set(categories.flatMap(category => category.subcategories.map(subcategory => subcategory.name)))];
+
+    return {
+      categories: categoryNames,
+      categoryList: categoryNames.join(', '),
+      subcategories: subcategoryNames,
+      subcategoryList: subcategoryNames.join(', ')
+    };
+  }
+
+  /**
+   * Drop the cached list so the next call reloads it
+   */
+  invalidate() {
+    this.categories = null;
+    this.loadedAt = 0;
+  }
+}
+
+module.exports = new CategoryService();
@@ -0,0 +1,100 @@
+/**
+ * Minimal CSV helpers (RFC 4180) for spreadsheet imports
+ * Fields may be quoted with double quotes; quoted fields can contain commas,
+ * line breaks and doubled quotes ("")
+ */
+
+/**
+ * Parse CSV text into rows of string fields
+ * Blank lines are kept as [''] so row numbers match the spreadsheet
+ * Throws if a quoted field is never closed
+ */
+const parseCsv = (text) => {
+  // Spreadsheet exports often start with a byte order mark
+  const input = String(text).replace(/^\uFEFF/, '');
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (inQuotes) {
+    throw new Error(`Unterminated quoted field in row ${rows.length + 1}`);
+  }
+
+  // The last line has no line break unless the file ends with one
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows;
+};
+
+/**
+ * Parse CSV text with a header row into objects keyed by the (trimmed) headers
+ * Returns [{ row, data }] where row is the spreadsheet row number (the header
+ * is row 1); blank rows are skipped and empty cells are left out of data
+ */
+const parseCsvObjects = (text) => {
+  const [header = [], ...records] = parseCsv(text);
+  const keys = header.map(key => key.trim());
+
+  return records
+    .map((values, index) => ({ row: index + 2, values }))
+    .filter(({ values }) => values.some(value => value.trim() !== ''))
+    .map(({ row, values }) => {
+      const data = {};
+      keys.forEach((key, column) => {
+        const value = (values[column] || '').trim();
+        if (key && value !== '') data[key] = value;
+      });
+      return { row, data };
+    });
+};
+
+/**
+ * Format values as one CSV line (with CRLF), quoting fields that contain
+ * commas, quotes or line breaks; null and undefined become empty fields
+ */
+const toCsvRow = (values) => {
+  return values
+    .map(value => {
+      const text = value === null || value === undefined ? '' : String(value);
+      return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    })
+    .join(',') + '\r\n';
+};
+
+module.exports = {
+  parseCsv,
+  parseCsvObjects,
+  toCsvRow
+};
@@ -0,0 +1,92 @@
+/**
+ * Helpers for streaming admin exports as CSV or NDJSON
+ * Documents are read one at a time from a Mongoose query cursor, so exports
+ * never hold the whole collection in memory
+ */
+
+const { once } = require('events');
+const { toCsvRow } = require('./csv');
+
+const EXPORT_FORMATS = ['csv', 'ndjson'];
+
+const CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  ndjson: 'application/x-ndjson; charset=utf-8'
+};
+
+/**
+ * Read a dot path ('location.address') from a plain object
+ */
+const getPath = (value, path) => {
+  return path.split('.').reduce((current, key) => (current === null || current === undefined ? undefined : current[key]), value);
+};
+
+// Text a spreadsheet would run as a formula; numbers such as "-34.08" or
+// "+91 98765" don't count
+const FORMULA_PATTERN = /^[=@\t\r]|^[+-](?![\d\s().-]*$)/;
+
+/**
+ * Format a value for a CSV cell
+ * Lists are joined with "; " (the bulk import splits them again) and dates
+ * become ISO strings. Formula-like text is prefixed with an apostrophe
+ */
+const toCsvValue = (value) => {
+  if (value === null || value === undefined) return '';
+  if (Array.isArray(value)) return value.join('; ');
+  if (value instanceof Date) return value.toISOString();
+
+  const text = String(value);
+  return FORMULA_PATTERN.test(text) ? `'${text}` : text;
+};
+
+/**
+ * Undo the apostrophe toCsvValue puts before formula-like text
+ */
+const fromCsvValue = (text) => {
+  return text.startsWith('\'') && FORMULA_PATTERN.test(text.slice(1)) ? text.slice(1) : text;
+};
+
+/**
+ * Stream query results to the response as a CSV or NDJSON file download
+ * NDJSON lines are the documents' toJSON() output; CSV has a header row of
+ * the given column paths. Stops reading when the client disconnects
+ */
+const streamExport = async (res, query, { format, filename, columns }) => {
+  res.status(200);
+  res.attachment(`${filename}.${format}`);
+  res.type(CONTENT_TYPES[format]);
+
+  // Respect backpressure so a slow client does not buffer the whole export
+  const write = async (chunk) => {
+    if (!res.write(chunk) && !res.destroyed) {
+      await Promise.race([once(res, 'drain'), once(res, 'close')]);
+    }
+  };
+
+  const cursor = query.cursor();
+  try {
+    if (format === 'csv') {
+      await write(toCsvRow(columns));
+    }
+
+    for await (const doc of cursor) {
+      if (res.destroyed) break;
+
+      const json = doc.toJSON();
+      await write(format === 'csv'
+        ? toCsvRow(columns.map(column => toCsvValue(getPath(json, column))))
+        : `${JSON.stringify(json)}\n`);
+    }
+  } finally {
+    await cursor.close();
+  }
+
+  res.end();
+};
+
+module.exports = {
+  EXPORT_FORMATS,
+  toCsvValue,
+  fromCsvValue,
+  streamExport
+};
@@ -0,0 +1,66 @@
+/**
+ * Image gallery helpers shared by Gem and GemRequest
+ * A gallery is an ordered `images` array with exactly one cover; the single
+ * `image` field mirrors the cover so older app versions keep working
+ */
+
+// Maximum number of images in a gallery
+const MAX_GALLERY_IMAGES = 20;
+
+const IMAGE_FIELDS = ['url', 'thumbnail', 'alt'];
+
+/**
+ * Copy the fields of the legacy `image` shape from a gallery image
+ */
+const toImageFields = (image) => {
+  const fields = {};
+  IMAGE_FIELDS.forEach(field => {
+    if (image[field] !== undefined && image[field] !== null) fields[field] = image[field];
+  });
+  return fields;
+};
+
+/**
+ * Check whether two images have the same url, thumbnail and alt
+ */
+const isSameImage = (a, b) => {
+  if (!a || !b) return false;
+  return IMAGE_FIELDS.every(field => (a[field] || undefined) === (b[field] || undefined));
+};
+
+/**
+ * Keep a document's gallery and legacy `image` field consistent
+ * - a document with only `image` gets a one-image gallery
+ * - exactly one gallery image is flagged as cover (the first one by default)
+ * - `image` is set from the cover, unless `image` alone was edited, in which
+ *   case the edit is applied to the cover
+ * Intended to run in a pre('validate') hook
+ */
+const syncCoverImage = (doc) => {
+  const images = doc.images || [];
+
+  if (images.length === 0) {
+    if (doc.image && doc.image.url) {
+      doc.images = [{ ...toImageFields(doc.image), isCover: true }];
+    }
+    return;
+  }
+
+  const cover = images.find(image => image.isCover) || images[0];
+  images.forEach(image => {
+    if (image.isCover !== (image === cover)) image.isCover = image === cover;
+  });
+
+  if (!doc.isNew && doc.isModified('image') && !doc.isModified('images') && doc.image) {
+    IMAGE_FIELDS.forEach(field => { cover[field] = doc.image[field]; });
+  } else if (!isSameImage(doc.image, cover)) {
+    doc.image = toImageFields(cover);
+  }
+};
+
+module.exports = {
+  MAX_GALLERY_IMAGES,
+  toImageFields,
+  isSameImage,
+  syncCoverImage
+};
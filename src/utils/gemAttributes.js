@@ -0,0 +1,38 @@
+/**
+ * Descriptors shared by gems and gem requests besides the category:
+ * a price level, a controlled amenities vocabulary and free-form tags
+ */
+
+// 1 = budget (e.g. a chai stall) ... 4 = premium
+const MIN_PRICE_LEVEL = 1;
+const MAX_PRICE_LEVEL = 4;
+
+const AMENITIES = [
+  'wheelchair_access',
+  'parking',
+  'card_payments',
+  'veg_only',
+  'family_friendly'
+];
+
+const MAX_TAGS = 20;
+const MAX_TAG_LENGTH = 30;
+
+/**
+ * Normalize free-form tags: trimmed, lowercase, without blanks or duplicates
+ */
+const normalizeTags = (tags = []) => {
+  const normalized = tags
+    .map(tag => String(tag).trim().toLowerCase().replace(/\s+/g, ' '))
+    .filter(Boolean);
+  return [...new Set(normalized)];
+};
+
+module.exports = {
+  MIN_PRICE_LEVEL,
+  MAX_PRICE_LEVEL,
+  AMENITIES,
+  MAX_TAGS,
+  MAX_TAG_LENGTH,
+  normalizeTags
+};
@@ -0,0 +1,47 @@
+/**
+ * HTTP caching helpers for public GET responses
+ * Express answers 304 Not Modified by itself when the request's If-None-Match
+ * or If-Modified-Since matches the ETag or Last-Modified set here
+ */
+
+const crypto = require('crypto');
+
+// Browsers and the CDN edge (Vercel) may store public responses but must
+// revalidate them on every use, so admin writes show up on the next request
+const PUBLIC_CACHE_CONTROL = 'public, max-age=0, s-maxage=0, must-revalidate';
+
+// Responses to signed-in admins may include inactive gems and must not be shared
+const PRIVATE_CACHE_CONTROL = 'private, no-cache';
+
+/**
+ * ETag for a response built from the given value; weak when the value doesn't
+ * cover every byte of the body (such as its timestamp)
+ */
+const hashETag = (value, { weak = false } = {}) => {
+  const etag = `"${crypto.createHash('sha1').update(JSON.stringify(value)).digest('base64url')}"`;
+  return weak ? `W/${etag}` : etag;
+};
+
+/**
+ * Set ETag, Last-Modified and Cache-Control on a successful GET response
+ * Leave lastModified out when the body depends on the clock (opening hours)
+ */
+const setCacheHeaders = (req, res, { etag, lastModified }) => {
+  res.set('ETag', etag);
+  if (lastModified) {
+    res.set('Last-Modified', new Date(lastModified).toUTCString());
+  }
+  if (req.user) {
+    res.set('Cache-Control', PRIVATE_CACHE_CONTROL);
+  } else {
+    // Admins get a different response at the same URL, so shared caches must
+    // not answer requests with an Authorization header from this one
+    res.set('Cache-Control', PUBLIC_CACHE_CONTROL);
+    res.vary('Authorization');
+  }
+};
+
+module.exports = {
+  hashETag,
+  setCacheHeaders
+};
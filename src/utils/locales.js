@@ -0,0 +1,103 @@
+/**
+ * Locale helpers for localized gem content
+ * English is stored in the regular gem fields and is the fallback for every
+ * other locale; translations live next to it in `translations.<locale>` and,
+ * for image alt text, in `images[].altTranslations.<locale>`
+ */
+
+const DEFAULT_LOCALE = 'en';
+
+// English, Urdu, Hindi and Kashmiri
+const SUPPORTED_LOCALES = ['en', 'ur', 'hi', 'ks'];
+
+// Locales that can hold translations (English is the gem itself)
+const TRANSLATION_LOCALES = SUPPORTED_LOCALES.filter(locale => locale !== DEFAULT_LOCALE);
+
+// Urdu and Kashmiri are written in Perso-Arabic script
+const RTL_LOCALES = ['ur', 'ks'];
+
+// Gem text fields that can be translated (address is the location address)
+const TRANSLATABLE_FIELDS = ['name', 'description', 'address'];
+
+/**
+ * Text direction of a locale ('rtl' or 'ltr')
+ */
+const getTextDirection = (locale) => (RTL_LOCALES.includes(locale) ? 'rtl' : 'ltr');
+
+/**
+ * Pick the best supported locale from an Accept-Language header
+ * e.g. "ur-PK,ur;q=0.9,en;q=0.8" -> "ur"; returns null if none is supported
+ */
+const parseAcceptLanguage = (header) => {
+  if (!header || typeof header !== 'string') return null;
+
+  const ranges = header.split(',')
+    .map((part, index) => {
+      const [tag, ...params] = part.trim().split(';');
+      const qParam = params.map(param => param.trim()).find(param => param.startsWith('q='));
+      const quality = qParam ? parseFloat(qParam.slice(2)) : 1;
+      return { language: tag.trim().toLowerCase().split('-')[0], quality: isNaN(quality) ? 0 : quality, index };
+    })
+    .filter(range => range.quality > 0 && SUPPORTED_LOCALES.includes(range.language))
+    .sort((a, b) => b.quality - a.quality || a.index - b.index);
+
+  return ranges.length > 0 ? ranges[0].language : null;
+};
+
+/**
+ * Resolve the response locale: an explicit `lang` wins over Accept-Language,
+ * and English is used when neither names a supported locale
+ */
+const resolveLocale = (lang, acceptLanguage) => {
+  if (lang && SUPPORTED_LOCALES.includes(String(lang).toLowerCase())) {
+    return String(lang).toLowerCase();
+  }
+  return parseAcceptLanguage(acceptLanguage) || DEFAULT_LOCALE;
+};
+
+/**
+ * Return a gem (document or toJSON output) with its text in the given locale
+ * Missing translations fall back to English field by field; the raw
+ * translations are left out of the result
+ */
+const localizeGem = (gem, locale) => {
+  const { translations, ...json } = typeof gem.toJSON === 'function' ? gem.toJSON() : gem;
+  const translation = (locale !== DEFAULT_LOCALE && translations && translations[locale]) || {};
+  const altFor = (image) => (image.altTranslations && image.altTranslations[locale]) || image.alt;
+
+  const localized = {
+    ...json,
+    name: translation.name || json.name,
+    description: translation.description || json.description
+  };
+
+  if (json.location) {
+    localized.location = { ...json.location, address: translation.address || json.location.address };
+  }
+
+  if (Array.isArray(json.images)) {
+    localized.images = json.images.map(({ altTranslations, ...image }) => ({
+      ...image,
+      alt: altFor({ ...image, altTranslations })
+    }));
+
+    const cover = json.images.find(image => image.isCover);
+    if (json.image && cover) {
+      localized.image = { ...json.image, alt: altFor(cover) };
+    }
+  }
+
+  return localized;
+};
+
+module.exports = {
+  DEFAULT_LOCALE,
+  SUPPORTED_LOCALES,
+  TRANSLATION_LOCALES,
+  RTL_LOCALES,
+  TRANSLATABLE_FIELDS,
+  getTextDirection,
+  parseAcceptLanguage,
+  resolveLocale,
+  localizeGem
+};
@@ -0,0 +1,86 @@
+/**
+ * Helpers for converting between nested objects and dot-path keys
+ * Used for partial updates, so { location: { address } } only touches
+ * location.address instead of replacing the whole location subdocument
+ */
+
+/**
+ * Check whether a value is a plain object (not an array, date or null)
+ */
+const isPlainObject = (value) => {
+  return value !== null && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype;
+};
+
+/**
+ * Expand dot-path keys into nested objects
+ * { 'location.address': 'x', name: 'y' } -> { location: { address: 'x' }, name: 'y' }
+ */
+const expandDotPaths = (input) => {
+  const output = {};
+
+  for (const [key, value] of Object.entries(input)) {
+    const parts = key.split('.');
+    let target = output;
+
+    parts.slice(0, -1).forEach(part => {
+      if (!isPlainObject(target[part])) {
+        target[part] = {};
+      }
+      target = target[part];
+    });
+
+    const leaf = parts[parts.length - 1];
+    const expanded = isPlainObject(value) ? expandDotPaths(value) : value;
+    target[leaf] = isPlainObject(expanded) && isPlainObject(target[leaf])
+      ? { ...target[leaf], ...expanded }
+      : expanded;
+  }
+
+  return output;
+};
+
+/**
+ * Flatten a nested object into dot-path keys; arrays are kept as leaf values
+ * and empty objects are dropped
+ * { location: { address: 'x' }, name: 'y' } -> { 'location.address': 'x', name: 'y' }
+ */
+const flattenToPaths = (input, prefix = '') => {
+  const output = {};
+
+  for (const [key, value] of Object.entries(input)) {
+    const path = prefix ? `${prefix}.${key}` : key;
+
+    if (isPlainObject(value)) {
+      Object.assign(output, flattenToPaths(value, path));
+    } else {
+      output[path] = value;
+    }
+  }
+
+  return output;
+};
+
+/**
+ * List the dot-paths that differ between two nested objects
+ * [{ path: 'location.address', from: 'old', to: 'new' }]; missing values are null
+ */
+const diffPaths = (before = {}, after = {}) => {
+  const beforePaths = flattenToPaths(before);
+  const afterPaths = flattenToPaths(after);
+  const paths = [...new Set([...Object.keys(beforePaths), ...Object.keys(afterPaths)])];
+
+  return paths
+    .filter(path => JSON.stringify(beforePaths[path]) !== JSON.stringify(afterPaths[path]))
+    .map(path => ({
+      path,
+      from: beforePaths[path] === undefined ? null : beforePaths[path],
+      to: afterPaths[path] === undefined ? null : afterPaths[path]
+    }));
+};
+
+module.exports = {
+  isPlainObject,
+  expandDotPaths,
+  flattenToPaths,
+  diffPaths
+};
@@ -0,0 +1,296 @@
+/**
+ * Opening hours helpers
+ * Hours are local Srinagar times ("HH:mm") in the Asia/Kolkata timezone, which
+ * is a fixed UTC+05:30 with no daylight saving, so local days can be computed
+ * with a constant offset
+ *
+ * openingHours: {
+ *   weekly: [{ day: 'mon', open: '10:00', close: '18:00' }],
+ *   exceptions: [{ startDate: '2025-12-15', endDate: '2026-02-28', repeatsYearly: true, periods: [], note: 'Winter' }]
+ * }
+ * - a day may have several periods; a close time at or before the open time runs past midnight
+ * - an exception replaces the weekly hours on its dates; no periods means closed all day
+ * - one-off exceptions take precedence over yearly ones, otherwise the first match wins
+ */
+
+const TIMEZONE = 'Asia/Kolkata';
+const UTC_OFFSET_MS = (5 * 60 + 30) * 60 * 1000;
+
+const DAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+// Open times run 00:00-23:59, close times may also be 24:00 (end of day)
+const OPEN_TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+const CLOSE_TIME_PATTERN = /^(([01]\d|2[0-3]):[0-5]\d|24:00)$/;
+const DATE_PATTERN = /^\d{4}-(0[1-9]|1[0-2])-(0[1-9]|[12]\d|3[01])$/;
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+// Days scanned for the next open/close time; the short window covers regular
+// weekly hours, the long one seasonal closures
+const SHORT_LOOKAHEAD_DAYS = 8;
+const MAX_LOOKAHEAD_DAYS = 366;
+
+/**
+ * Convert "HH:mm" to minutes since midnight
+ */
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+/**
+ * Check whether opening hours contain anything to evaluate
+ */
+const hasOpeningHours = (openingHours) => {
+  return Boolean(openingHours) &&
+    ((openingHours.weekly || []).length > 0 || (openingHours.exceptions || []).length > 0);
+};
+
+/**
+ * Check whether an exception applies to a local date ("YYYY-MM-DD")
+ */
+const exceptionMatches = (exception, date) => {
+  const endDate = exception.endDate || exception.startDate;
+
+  if (!exception.repeatsYearly) {
+    return exception.startDate <= date && date <= endDate;
+  }
+
+  // Yearly exceptions compare month and day only and may wrap around new year
+  const day = date.slice(5);
+  const start = exception.startDate.slice(5);
+  const end = endDate.slice(5);
+  return start <= end ? start <= day && day <= end : day >= start || day <= end;
+};
+
+/**
+ * Get the opening periods for a local date
+ */
+const getPeriodsForDate = (openingHours, date, weekday) => {
+  const exceptions = openingHours.exceptions || [];
+  const exception = exceptions.find(ex => !ex.repeatsYearly && exceptionMatches(ex, date)) ||
+    exceptions.find(ex => ex.repeatsYearly && exceptionMatches(ex, date));
+
+  if (exception) {
+    return exception.periods || [];
+  }
+
+  return (openingHours.weekly || []).filter(period => period.day === DAYS[weekday]);
+};
+
+/**
+ * Build merged open intervals (epoch ms) for a number of local days
+ */
+const buildOpenIntervals = (openingHours, firstDayStart, days) => {
+  const intervals = [];
+
+  for (let offset = 0; offset < days; offset++) {
+    const dayStart = firstDayStart + offset * DAY_MS;
+    const local = new Date(dayStart + UTC_OFFSET_MS);
+    const periods = getPeriodsForDate(openingHours, local.toISOString().slice(0, 10), local.getUTCDay())
+      .map(period => ({ open: toMinutes(period.open), close: toMinutes(period.close) }))
+      .sort((a, b) => a.open - b.open);
+
+    periods.forEach(({ open, close }) => {
+      const start = dayStart + open * MINUTE_MS;
+      const end = dayStart + close * MINUTE_MS + (close <= open ? DAY_MS : 0);
+      const last = intervals[intervals.length - 1];
+
+      // Merge overlapping or back-to-back periods (e.g. 22:00-24:00 then 00:00-02:00)
+      if (last && start <= last.end) {
+        last.end = Math.max(last.end, end);
+      } else {
+        intervals.push({ start, end });
+      }
+    });
+  }
+
+  return intervals;
+};
+
+/**
+ * Work out whether a place is open at a given time and when it next opens/closes
+ * isOpenNow is null when no opening hours are known; next times are null when
+ * they fall outside the lookahead window
+ */
+const getOpeningStatus = (openingHours, at = new Date()) => {
+  if (!hasOpeningHours(openingHours)) {
+    return { isOpenNow: null, nextOpenAt: null, nextCloseAt: null };
+  }
+
+  const now = at.getTime();
+  const todayStart = Math.floor((now + UTC_OFFSET_MS) / DAY_MS) * DAY_MS - UTC_OFFSET_MS;
+
+  for (const days of [SHORT_LOOKAHEAD_DAYS, MAX_LOOKAHEAD_DAYS]) {
+    // Start from yesterday so periods running past midnight are included
+    const intervals = buildOpenIntervals(openingHours, todayStart - DAY_MS, days + 1);
+    const horizon = todayStart + days * DAY_MS;
+
+    const current = intervals.find(interval => interval.start <= now && now < interval.end);
+    const next = intervals.find(interval => interval.start > now);
+    const closeAt = current ? current.end : next && next.end;
+
+    // An interval reaching the horizon may continue past it, so look further
+    const isSettled = next && closeAt < horizon;
+    if (isSettled || days === MAX_LOOKAHEAD_DAYS) {
+      return {
+        isOpenNow: Boolean(current),
+        nextOpenAt: next ? new Date(next.start) : null,
+        nextCloseAt: closeAt && closeAt < horizon ? new Date(closeAt) : null
+      };
+    }
+  }
+};
+
+/**
+ * Aggregation expression that is true for gems with opening hours to evaluate,
+ * like hasOpeningHours
+ */
+const HAS_OPENING_HOURS_EXPRESSION = {
+  $or: [
+    { $gt: [{ $size: { $ifNull: ['$openingHours.weekly', []] } }, 0] },
+    { $gt: [{ $size: { $ifNull: ['$openingHours.exceptions', []] } }, 0] }
+  ]
+};
+
+/**
+ * Local date ("YYYY-MM-DD"), weekday and time ("HH:mm") of an instant in Srinagar
+ */
+const toLocalParts = (time) => {
+  const local = new Date(time + UTC_OFFSET_MS);
+  const iso = local.toISOString();
+  return { date: iso.slice(0, 10), day: DAYS[local.getUTCDay()], time: iso.slice(11, 16) };
+};
+
+/**
+ * Aggregation expression for the periods a gem's opening hours give a local
+ * date, following the same exception precedence as getPeriodsForDate
+ */
+const periodsForDateExpression = ({ date, day }) => {
+  const exceptions = { $ifNull: ['$openingHours.exceptions', []] };
+  const endDate = { $ifNull: ['$$exception.endDate', '$$exception.startDate'] };
+  const monthDay = date.slice(5);
+  const startMonthDay = { $substrCP: ['$$exception.startDate', 5, 5] };
+  const endMonthDay = { $substrCP: [endDate, 5, 5] };
+
+  const oneOff = {
+    $filter: {
+      input: exceptions,
+      as: 'exception',
+      cond: {
+        $and: [
+          { $ne: ['$$exception.repeatsYearly', true] },
+          { $lte: ['$$exception.startDate', date] },
+          { $gte: [endDate, date] }
+        ]
+      }
+    }
+  };
+  const yearly = {
+    $filter: {
+      input: exceptions,
+      as: 'exception',
+      cond: {
+        $and: [
+          { $eq: ['$$exception.repeatsYearly', true] },
+          {
+            $cond: [
+              { $lte: [startMonthDay, endMonthDay] },
+              { $and: [{ $lte: [startMonthDay, monthDay] }, { $lte: [monthDay, endMonthDay] }] },
+              { $or: [{ $gte: [monthDay, startMonthDay] }, { $lte: [monthDay, endMonthDay] }] }
+            ]
+          }
+        ]
+      }
+    }
+  };
+
+  return {
+    $let: {
+      vars: { matches: { $concatArrays: [oneOff, yearly] } },
+      in: {
+        $cond: [
+          { $gt: [{ $size: '$$matches' }, 0] },
+          {
+            $let: {
+              vars: { exception: { $arrayElemAt: ['$$matches', 0] } },
+              in: { $ifNull: ['$$exception.periods', []] }
+            }
+          },
+          {
+            $filter: {
+              input: { $ifNull: ['$openingHours.weekly', []] },
+              as: 'period',
+              cond: { $eq: ['$$period.day', day] }
+            }
+          }
+        ]
+      }
+    }
+  };
+};
+
+/**
+ * Query filter for gems that are (or, with open false, are not) open at a given
+ * time, evaluated by the database so it combines with sorting and pagination
+ * Only today's periods and yesterday's periods running past midnight can cover
+ * the current minute; "HH:mm" strings compare in time order. Gems without
+ * opening hours match neither way, as their status is unknown
+ */
+const openAtFilter = (at = new Date(), open = true) => {
+  const today = toLocalParts(at.getTime());
+  const yesterday = toLocalParts(at.getTime() - DAY_MS);
+  const { time } = today;
+
+  const isOpen = {
+    $or: [
+      {
+        $anyElementTrue: [{
+          $map: {
+            input: periodsForDateExpression(today),
+            as: 'period',
+            in: {
+              $and: [
+                { $lte: ['$$period.open', time] },
+                { $or: [{ $gt: ['$$period.close', time] }, { $lte: ['$$period.close', '$$period.open'] }] }
+              ]
+            }
+          }
+        }]
+      },
+      {
+        $anyElementTrue: [{
+          $map: {
+            input: periodsForDateExpression(yesterday),
+            as: 'period',
+            in: {
+              $and: [
+                { $lte: ['$$period.close', '$$period.open'] },
+                { $lt: [time, '$$period.close'] }
+              ]
+            }
+          }
+        }]
+      }
+    ]
+  };
+
+  if (open) {
+    return { $expr: isOpen };
+  }
+
+  return { $expr: { $and: [HAS_OPENING_HOURS_EXPRESSION, { $not: [isOpen] }] } };
+};
+
+module.exports = {
+  TIMEZONE,
+  DAYS,
+  OPEN_TIME_PATTERN,
+  CLOSE_TIME_PATTERN,
+  DATE_PATTERN,
+  HAS_OPENING_HOURS_EXPRESSION,
+  hasOpeningHours,
+  getOpeningStatus,
+  openAtFilter
+};
@@ -0,0 +1,72 @@
+const mongoose = require('mongoose');
+
+/**
+ * Cursor pagination helpers
+ * Cursors are opaque base64url tokens encoding the sort field value and _id
+ * of the last item on a page, which gives a stable order for sorts such as
+ * { createdAt: -1, _id: -1 } or { name: 1, _id: 1 }
+ */
+
+/**
+ * Encode a document's sort position into an opaque cursor
+ */
+const encodeCursor = (doc, field = 'createdAt') => {
+  const value = doc[field];
+  const payload = JSON.stringify({
+    field,
+    value: value instanceof Date ? value.toISOString() : value,
+    isDate: value instanceof Date,
+    id: doc._id.toString()
+  });
+  return Buffer.from(payload).toString('base64url');
+};
+
+/**
+ * Decode a cursor back into its sort position
+ * Returns null if the cursor is malformed. The value ends up in a query
+ * filter, so only strings, finite numbers and ISO dates are accepted; an
+ * object such as { "$gt": "" } would otherwise be run as a query operator
+ */
+const decodeCursor = (cursor) => {
+  try {
+    const { field, value, isDate, id } = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+
+    if (typeof field !== 'string' || !/^[\w.]+$/.test(field) || !mongoose.Types.ObjectId.isValid(id)) {
+      return null;
+    }
+
+    const isPrimitive = typeof value === 'string' || (typeof value === 'number' && Number.isFinite(value));
+    if (!isPrimitive || (isDate && typeof value !== 'string')) {
+      return null;
+    }
+
+    const position = isDate ? new Date(value) : value;
+    if (isDate && isNaN(position.getTime())) {
+      return null;
+    }
+
+    return { field, value: position, id: new mongoose.Types.ObjectId(id) };
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Build a query filter selecting items that come after the cursor position
+ * order is the sort direction of the cursor field (1 or -1), with _id as tiebreaker
+ */
+const afterCursor = ({ field, value, id }, order = -1) => {
+  const operator = order < 0 ? '$lt' : '$gt';
+  return {
+    $or: [
+      { [field]: { [operator]: value } },
+      { [field]: value, _id: { [operator]: id } }
+    ]
+  };
+};
+
+module.exports = {
+  encodeCursor,
+  decodeCursor,
+  afterCursor
+};
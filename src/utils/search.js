@@ -0,0 +1,122 @@
+/**
+ * Fuzzy matching helpers for place-name search
+ * Transliterated Kashmiri names vary in doubled letters, vowels and a silent
+ * 'h' ("Nishat"/"Nishaat", "Shalimar"/"Shalamar", "Dal"/"Dhal"), so each
+ * search term is turned into a forgiving word-prefix pattern
+ */
+
+const VOWEL_CLASS = '[aeiou]+';
+
+// Words two names must share before word overlap counts, so one generic word
+// ("Cafe", "Bagh") does not make "Cafe" a duplicate of "Cafe Arabica"
+const MIN_SHARED_WORDS = 2;
+
+/**
+ * Reduce a term to the letters that survive spelling variations
+ */
+const foldLetters = (term) => {
+  return term
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]/gu, '') // Drop punctuation so no regex escaping is needed
+    .replace(/(.)\1+/gu, '$1') // Collapse doubled letters
+    .replace(/[aeiou]+/g, 'a'); // Collapse vowel runs into a single vowel slot
+};
+
+/**
+ * Build a fuzzy word-prefix pattern for a single search term
+ * Returns null if the term has nothing left to match on
+ */
+const buildFuzzyPattern = (term) => {
+  const letters = foldLetters(term);
+
+  if (!letters.replace(/h/g, '')) {
+    return null;
+  }
+
+  // Every consonant may be followed by an 'h' ("dal" matches "dhal" and vice versa)
+  let pattern = '';
+  let previous = null;
+  for (const char of letters) {
+    if (char === 'a') {
+      pattern += VOWEL_CLASS;
+    } else if (char === 'h') {
+      if (previous === null || previous === 'a') pattern += 'h*';
+    } else {
+      pattern += `${char}+h*`;
+    }
+    previous = char;
+  }
+
+  return pattern;
+};
+
+/**
+ * Build one case-insensitive word-prefix RegExp per term in a search query
+ */
+const buildFuzzyRegexes = (query) => {
+  return query
+    .split(/\s+/)
+    .map(buildFuzzyPattern)
+    .filter(Boolean)
+    .map(pattern => new RegExp(`\\b${pattern}`, 'i'));
+};
+
+/**
+ * Split a place name into folded words, ignoring a silent 'h' after the first letter
+ */
+const foldName = (name) => {
+  return String(name)
+    .split(/\s+/)
+    .map(word => foldLetters(word).replace(/(?!^)h/g, ''))
+    .filter(Boolean);
+};
+
+/**
+ * Levenshtein edit distance between two strings
+ */
+const editDistance = (a, b) => {
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+
+  return previous[b.length];
+};
+
+/**
+ * Score how alike two place names are, from 0 (unrelated) to 1 (same name)
+ * Uses the better of spelling similarity of the whole name and word overlap,
+ * so "Chai Point" matches both "Chaai Point" and "Chai Point Lal Chowk";
+ * overlap needs at least MIN_SHARED_WORDS words in common
+ */
+const nameSimilarity = (a, b) => {
+  const wordsA = foldName(a);
+  const wordsB = foldName(b);
+  if (wordsA.length === 0 || wordsB.length === 0) return 0;
+
+  const joinedA = wordsA.join(' ');
+  const joinedB = wordsB.join(' ');
+  const spelling = 1 - editDistance(joinedA, joinedB) / Math.max(joinedA.length, joinedB.length);
+
+  const shared = new Set(wordsA.filter(word => wordsB.includes(word))).size;
+  const overlap = shared >= MIN_SHARED_WORDS
+    ? shared / Math.min(new Set(wordsA).size, new Set(wordsB).size)
+    : 0;
+
+  return Math.max(spelling, overlap);
+};
+
+module.exports = {
+  buildFuzzyPattern,
+  buildFuzzyRegexes,
+  nameSimilarity
+};
@@ -0,0 +1,23 @@
+const Joi = require('joi');
+
+/**
+ * Joi extended for query string validation
+ * Arrays also accept a comma-separated string (e.g. ?category=Food,Craft),
+ * alongside repeated parameters (?category=Food&category=Craft)
+ */
+const QueryJoi = Joi.extend((joi) => ({
+  type: 'array',
+  base: joi.array(),
+  coerce: {
+    from: 'string',
+    method(value) {
+      return {
+        value: value.split(',').map(item => item.trim()).filter(Boolean)
+      };
+    }
+  }
+}));
+
+module.exports = {
+  QueryJoi
+};